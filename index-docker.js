@@ -2,379 +2,106 @@
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
-import { z } from "zod";
-import fetch from "node-fetch";
-import http from "http";
-import url from "url";
-import fs from "fs";
-import path from "path";
-
-// Get Jina API key from environment (optional)
-const getJinaApiKey = () => {
-  return process.env.JINA_API_KEY || null;
-};
-
-// Helper to create headers with or without API key
-const createHeaders = (baseHeaders = {}) => {
-  const headers = { ...baseHeaders };
-  const apiKey = getJinaApiKey();
-  
-  if (apiKey) {
-    headers["Authorization"] = `Bearer ${apiKey}`;
-  }
-  
-  return headers;
-};
-
-// Create MCP server for Jina AI tools
-const server = new McpServer({
-  name: "jina-mcp-tools",
-  version: "1.1.0",
-  description: "Jina AI tools for web reading, search, fact-checking, and batch processing"
-});
-
-// WEB READER TOOL
-server.tool(
-  "jina_reader",
-  "Read and extract content from web pages using Jina AI's powerful web reader",
-  {
-    url: z.string().url().describe("URL of the webpage to read and extract content from"),
-    format: z.enum(["Default", "Markdown", "HTML", "Text", "Screenshot", "Pageshot"])
-      .optional()
-      .default("Markdown")
-      .describe("Output format for the extracted content"),
-    withLinks: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include links in the extracted content"),
-    withImages: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include images in the extracted content")
-  },
-  async ({ url, format, withLinks, withImages }) => {
-    try {
-      // Build the Jina Reader URL
-      const jinaUrl = new URL(url, "https://r.jina.ai/");
-      
-      // Add query parameters based on options
-      const searchParams = new URLSearchParams();
-      
-      if (format && format !== "Default") {
-        if (format === "Markdown") {
-          // Default is markdown, no parameter needed
-        } else if (format === "HTML") {
-          searchParams.append("htmlContent", "true");
-        } else if (format === "Text") {
-          searchParams.append("textContent", "true");
-        } else if (format === "Screenshot") {
-          searchParams.append("screenshot", "true");
-        } else if (format === "Pageshot") {
-          searchParams.append("pageshot", "true");
-        }
-      }
-      
-      if (withLinks) {
-        searchParams.append("withLinks", "true");
-      }
-      
-      if (withImages) {
-        searchParams.append("withImages", "true");
-      }
-      
-      // Add parameters to URL if any
-      if (searchParams.toString()) {
-        jinaUrl.search = searchParams.toString();
-      }
-      
-      const response = await fetch(jinaUrl.toString(), {
-        headers: createHeaders({
-          "Accept": "text/plain",
-          "User-Agent": "JinaMCP/1.0.3"
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-      }
-      
-      const content = await response.text();
-      
-      return {
-        content: [{
-          type: "text",
-          text: content
-        }]
-      };
-      
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error reading URL: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
-
-// WEB READER LIST TOOL
-server.tool(
-  "jina_reader_list",
-  "Read links from a file and process each one with Jina Reader, saving results to an output file",
-  {
-    inputFile: z.string().describe("Path to the file containing URLs (one per line)"),
-    outputFile: z.string().describe("Path where the processed results will be saved"),
-    format: z.enum(["Default", "Markdown", "HTML", "Text", "Screenshot", "Pageshot"])
-      .optional()
-      .default("Markdown")
-      .describe("Output format for the extracted content"),
-    withLinks: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include links in the extracted content"),
-    withImages: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include images in the extracted content"),
-    delimiter: z.string()
-      .optional()
-      .default("\n---\n")
-      .describe("Delimiter to separate results from different URLs")
-  },
-  async ({ inputFile, outputFile, format, withLinks, withImages, delimiter }) => {
-    try {
-      // Read the input file
-      let fileContent;
-      try {
-        fileContent = fs.readFileSync(inputFile, 'utf8');
-      } catch (fileError) {
-        throw new Error(`Could not read input file: ${fileError.message}`);
-      }
-
-      // Extract URLs from the file (one per line, skip empty lines)
-      const urls = fileContent
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line && line.startsWith('http'));
-
-      if (urls.length === 0) {
-        throw new Error("No valid URLs found in the input file");
-      }
-
-      let allResults = [];
-      let processedCount = 0;
-
-      // Process each URL using the same logic as the jina_reader tool
-      for (const url of urls) {
-        try {
-          // Build the Jina URL
-          const jinaUrl = new URL(`https://r.jina.ai/${url}`);
-          const searchParams = new URLSearchParams();
-          
-          if (format && format !== "Default") {
-            searchParams.append("format", format.toLowerCase());
-          }
-          
-          if (withLinks) {
-            searchParams.append("withLinks", "true");
-          }
-          
-          if (withImages) {
-            searchParams.append("withImages", "true");
-          }
-          
-          // Add parameters to URL if any
-          if (searchParams.toString()) {
-            jinaUrl.search = searchParams.toString();
-          }
-          
-          const response = await fetch(jinaUrl.toString(), {
-            headers: createHeaders({
-              "Accept": "text/plain",
-              "User-Agent": "JinaMCP/1.0.3"
-            })
-          });
-          
-          if (!response.ok) {
-            allResults.push(`ERROR processing ${url}: ${response.status} - ${response.statusText}`);
-          } else {
-            const content = await response.text();
-            allResults.push(`URL: ${url}\n${content}`);
-            processedCount++;
-          }
-        } catch (urlError) {
-          allResults.push(`ERROR processing ${url}: ${urlError.message}`);
-        }
-
-        // Add a small delay to avoid overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-
-      // Combine all results
-      const finalOutput = allResults.join(delimiter);
-
-      // Write to output file
-      try {
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputFile);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
-        }
-        
-        fs.writeFileSync(outputFile, finalOutput, 'utf8');
-      } catch (writeError) {
-        throw new Error(`Could not write to output file: ${writeError.message}`);
-      }
-
-      return {
-        content: [{ 
-          type: "text", 
-          text: `Successfully processed ${processedCount} out of ${urls.length} URLs.\nResults saved to: ${outputFile}\nOutput file size: ${finalOutput.length} characters`
-        }]
-      };
-    } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: `Error: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
-
-// WEB SEARCH TOOL
-server.tool(
-  "jina_search",
-  "Search the web using Jina AI's search capabilities",
-  {
-    query: z.string().describe("Search query to find relevant web content"),
-    count: z.number()
-      .min(1)
-      .max(20)
-      .optional()
-      .default(10)
-      .describe("Number of search results to return (1-20)"),
-    site: z.string()
-      .optional()
-      .describe("Limit search to specific website (e.g., 'github.com')")
-  },
-  async ({ query, count, site }) => {
-    try {
-      // Build the search URL
-      const searchUrl = new URL("https://s.jina.ai/");
-      
-      let searchQuery = query;
-      if (site) {
-        searchQuery = `site:${site} ${query}`;
-      }
-      
-      searchUrl.searchParams.append("q", searchQuery);
-      if (count && count !== 10) {
-        searchUrl.searchParams.append("count", count.toString());
-      }
-      
-      const response = await fetch(searchUrl.toString(), {
-        headers: createHeaders({
-          "Accept": "application/json",
-          "User-Agent": "JinaMCP/1.0.3"
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-      }
-      
-      const results = await response.json();
-      
-      let formattedResults = "# Search Results\n\n";
-      
-      if (results.data && Array.isArray(results.data)) {
-        results.data.forEach((item, index) => {
-          formattedResults += `## ${index + 1}. ${item.title || 'No Title'}\n`;
-          formattedResults += `**URL**: ${item.url || 'No URL'}\n`;
-          if (item.description) {
-            formattedResults += `**Description**: ${item.description}\n`;
-          }
-          formattedResults += '\n';
-        });
-      } else {
-        formattedResults += "No search results found or unexpected response format.";
-      }
-      
-      return {
-        content: [{
-          type: "text",
-          text: formattedResults
-        }]
-      };
-      
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error performing search: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
-
-// FACT-CHECK TOOL
-server.tool(
-  "jina_fact_check",
-  "Verify factual statements using Jina AI's fact-checking capabilities",
-  {
-    statement: z.string().describe("Statement or claim to fact-check")
-  },
-  async ({ statement }) => {
-    try {
-      const factCheckUrl = new URL("https://g.jina.ai/");
-      factCheckUrl.searchParams.append("q", statement);
-      
-      const response = await fetch(factCheckUrl.toString(), {
-        headers: createHeaders({
-          "Accept": "text/plain",
-          "User-Agent": "JinaMCP/1.0.3"
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-      }
-      
-      const result = await response.text();
-      
-      return {
-        content: [{
-          type: "text",
-          text: `# Fact-Check Result\n\n**Statement**: ${statement}\n\n**Verification**:\n${result}`
-        }]
-      };
-      
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error fact-checking statement: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
+import { getJinaApiKey } from "./lib/jina-client.js";
+import { registerReaderTool } from "./lib/tools/reader.js";
+import { registerReaderListTool } from "./lib/tools/reader-list.js";
+import { registerCrawlTool } from "./lib/tools/crawl.js";
+import { registerCheckUrlsTool } from "./lib/tools/check-urls.js";
+import { registerCacheTool } from "./lib/tools/cache.js";
+import { registerSearchTool } from "./lib/tools/search.js";
+import { registerSearchAndReadTool } from "./lib/tools/search-and-read.js";
+import { registerFactCheckTool } from "./lib/tools/fact-check.js";
+import { registerFactCheckListTool } from "./lib/tools/fact-check-list.js";
+import { registerEmbedTool } from "./lib/tools/embed.js";
+import { registerRerankTool } from "./lib/tools/rerank.js";
+import { registerSemanticIndexTools } from "./lib/tools/semantic-index.js";
+import { registerResources } from "./lib/resources.js";
+import { registerJobTools } from "./lib/tools/jobs.js";
+import { startHttpServer } from "./lib/http-server.js";
+import { getDefaultRootsWarning } from "./lib/sandbox.js";
+import { loadStartupConfig, applyToolConfig, exitOnConfigError } from "./lib/config.js";
+import { trackUsage } from "./lib/usage.js";
+import { registerUsageTool } from "./lib/tools/usage.js";
+
+// Settings from jina-mcp.config.json and the command line
+const config = loadStartupConfig();
+
+// Create an MCP server with every Jina AI tool registered.
+// HTTP mode builds one per client session; stdio mode needs just one.
+function createServer() {
+  const server = new McpServer({
+    name: "jina-mcp-tools",
+    version: "1.1.0",
+    description: "Jina AI tools for web reading, search, fact-checking, and batch processing"
+  });
+
+  // Tool defaults and enablement from the settings apply to every tool registered below
+  const checkToolConfig = applyToolConfig(server, config);
+
+  // Jina token usage of every tool call, counted per session and held to its token budget
+  trackUsage(server);
+
+  // PAGE AND BATCH RESOURCES
+  registerResources(server);
+
+  // WEB READER TOOL
+  registerReaderTool(server);
+
+  // WEB READER LIST TOOL
+  registerReaderListTool(server);
+
+  // SITE CRAWL TOOL
+  registerCrawlTool(server);
+
+  // URL STATUS CHECK TOOL
+  registerCheckUrlsTool(server);
+
+  // SEARCH TOOL
+  registerSearchTool(server);
+
+  // SEARCH AND READ TOOL
+  registerSearchAndReadTool(server);
+
+  // FACT-CHECK TOOL
+  registerFactCheckTool(server);
+
+  // FACT-CHECK LIST TOOL
+  registerFactCheckListTool(server);
+
+  // EMBEDDINGS TOOL
+  registerEmbedTool(server);
+
+  // RERANK TOOL
+  registerRerankTool(server);
+
+  // SEMANTIC INDEX TOOLS
+  registerSemanticIndexTools(server);
+
+  // CACHE TOOL
+  registerCacheTool(server);
+
+  // BACKGROUND JOB TOOLS
+  registerJobTools(server);
+
+  // USAGE TOOL
+  registerUsageTool(server);
+
+  checkToolConfig();
+  return server;
+}
 
 // Main function to start the server
 async function main() {
   try {
     // Log startup information
     console.error("🚀 Starting Jina AI MCP Tools Server v1.0.3");
-    
+    if (config.file) {
+      console.error(`⚙️  Using settings from ${config.file}`);
+    }
+
+    // Build a server up front so invalid tool settings stop startup rather than the first session
+    const server = exitOnConfigError(createServer);
+
     const apiKey = getJinaApiKey();
     if (apiKey) {
       console.error(`✅ Jina AI API key found with length ${apiKey.length}`);
@@ -384,6 +111,10 @@ async function main() {
     } else {
       console.error("⚠️  No Jina AI API key found. Some features may be limited.");
     }
+    const rootsWarning = getDefaultRootsWarning();
+    if (rootsWarning) {
+      console.error(`⚠️  ${rootsWarning}`);
+    }
 
     // Check if we should run in HTTP mode (for Docker)
     const mode = process.env.MCP_MODE || 'stdio';
@@ -393,29 +124,8 @@ async function main() {
       // HTTP mode for Docker deployment
       console.error(`🌐 Starting HTTP server on port ${port}`);
       
-      const httpServer = http.createServer(async (req, res) => {
-        const parsedUrl = url.parse(req.url, true);
-        
-        if (parsedUrl.pathname === '/health') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ status: 'healthy', version: '1.0.3' }));
-          return;
-        }
-        
-        if (parsedUrl.pathname === '/sse') {
-          const transport = new SSEServerTransport("/sse", res);
-          await server.connect(transport);
-        } else {
-          res.writeHead(404, { 'Content-Type': 'text/plain' });
-          res.end('Not Found');
-        }
-      });
-      
-      httpServer.listen(port, () => {
-        console.error(`✅ HTTP server listening on port ${port}`);
-        console.error(`🔗 Health check: http://localhost:${port}/health`);
-        console.error(`🔗 MCP endpoint: http://localhost:${port}/sse`);
-      });
+      const { closeSessions } = startHttpServer({ port, createServer, version: '1.0.3' });
+      shutdownHandlers.push(closeSessions);
     } else {
       // Default stdio mode
       console.error("📡 Starting in stdio mode");
@@ -430,15 +140,16 @@ async function main() {
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.error('📴 Received SIGINT, shutting down gracefully');
-  process.exit(0);
-});
+const shutdownHandlers = [];
 
-process.on('SIGTERM', () => {
-  console.error('📴 Received SIGTERM, shutting down gracefully');
+const shutdown = async (signal) => {
+  console.error(`📴 Received ${signal}, shutting down gracefully`);
+  await Promise.all(shutdownHandlers.map(handler => handler()));
   process.exit(0);
-});
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Execute the main function
 main().catch((error) => {
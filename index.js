@@ -3,26 +3,28 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
-import fetch from "node-fetch";
-import fs from "fs";
-import path from "path";
-
-// Get Jina API key from environment (optional)
-const getJinaApiKey = () => {
-  return process.env.JINA_API_KEY || null;
-};
-
-// Helper to create headers with or without API key
-const createHeaders = (baseHeaders = {}) => {
-  const headers = { ...baseHeaders };
-  const apiKey = getJinaApiKey();
-  
-  if (apiKey) {
-    headers["Authorization"] = `Bearer ${apiKey}`;
-  }
-  
-  return headers;
-};
+import { getJinaApiKey } from "./lib/jina-client.js";
+import { readSandboxedFile, getDefaultRootsWarning } from "./lib/sandbox.js";
+import { registerReaderTool } from "./lib/tools/reader.js";
+import { registerReaderListTool } from "./lib/tools/reader-list.js";
+import { registerCrawlTool } from "./lib/tools/crawl.js";
+import { registerCheckUrlsTool } from "./lib/tools/check-urls.js";
+import { registerCacheTool } from "./lib/tools/cache.js";
+import { registerSearchTool } from "./lib/tools/search.js";
+import { registerSearchAndReadTool } from "./lib/tools/search-and-read.js";
+import { registerFactCheckTool } from "./lib/tools/fact-check.js";
+import { registerFactCheckListTool } from "./lib/tools/fact-check-list.js";
+import { registerEmbedTool } from "./lib/tools/embed.js";
+import { registerRerankTool } from "./lib/tools/rerank.js";
+import { registerSemanticIndexTools } from "./lib/tools/semantic-index.js";
+import { registerResources } from "./lib/resources.js";
+import { registerJobTools } from "./lib/tools/jobs.js";
+import { loadStartupConfig, applyToolConfig, exitOnConfigError } from "./lib/config.js";
+import { trackUsage } from "./lib/usage.js";
+import { registerUsageTool } from "./lib/tools/usage.js";
+
+// Settings from jina-mcp.config.json and the command line
+const config = loadStartupConfig();
 
 // Create MCP server for Jina AI tools
 const server = new McpServer({
@@ -31,328 +33,52 @@ const server = new McpServer({
   description: "Jina AI tools for web reading, search, fact-checking, and batch processing"
 });
 
-// WEB READER TOOL
-server.tool(
-  "jina_reader",
-  "Read and extract content from web pages using Jina AI's powerful web reader",
-  {
-    url: z.string().url().describe("URL of the webpage to read and extract content from"),
-    format: z.enum(["Default", "Markdown", "HTML", "Text", "Screenshot", "Pageshot"])
-      .optional()
-      .default("Markdown")
-      .describe("Output format for the extracted content"),
-    withLinks: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include links in the extracted content"),
-    withImages: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include images in the extracted content")
-  },
-  async ({ url, format, withLinks, withImages }) => {
-    try {
-      const headers = createHeaders({
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-        "X-With-Links-Summary": withLinks ? "true" : "false",
-        "X-With-Images-Summary": withImages ? "true" : "false",
-        "X-Return-Format": format.toLowerCase()
-      });
+// Tool defaults and enablement from the settings apply to every tool registered below
+const checkToolConfig = applyToolConfig(server, config);
 
-      const response = await fetch("https://r.jina.ai/", {
-        method: "POST",
-        headers,
-        body: JSON.stringify({ url })
-      });
+// Jina token usage of every tool call, counted per session and held to its token budget
+trackUsage(server);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Jina Reader API error (${response.status}): ${errorText}`);
-      }
+// PAGE AND BATCH RESOURCES
+registerResources(server);
 
-      const data = await response.json();
-      return {
-        content: [{ 
-          type: "text", 
-          text: data.data && data.data.content ? data.data.content : JSON.stringify(data, null, 2)
-        }]
-      };
-    } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: `Error: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
+// WEB READER TOOL
+registerReaderTool(server);
 
 // WEB READER LIST TOOL
-server.tool(
-  "jina_reader_list",
-  "Read links from a file and process each one with Jina Reader, saving results to an output file",
-  {
-    inputFile: z.string().describe("Path to the file containing URLs (one per line)"),
-    outputFile: z.string().describe("Path where the processed results will be saved"),
-    format: z.enum(["Default", "Markdown", "HTML", "Text", "Screenshot", "Pageshot"])
-      .optional()
-      .default("Markdown")
-      .describe("Output format for the extracted content"),
-    withLinks: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include links in the extracted content"),
-    withImages: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Include images in the extracted content"),
-    delimiter: z.string()
-      .optional()
-      .default("\n---\n")
-      .describe("Delimiter to separate results from different URLs")
-  },
-  async ({ inputFile, outputFile, format, withLinks, withImages, delimiter }) => {
-    try {
-      // Read the input file
-      let fileContent;
-      try {
-        fileContent = fs.readFileSync(inputFile, 'utf8');
-      } catch (fileError) {
-        throw new Error(`Could not read input file: ${fileError.message}`);
-      }
-
-      // Extract URLs from the file (one per line, skip empty lines)
-      const urls = fileContent
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line && line.startsWith('http'));
+registerReaderListTool(server);
 
-      if (urls.length === 0) {
-        throw new Error("No valid URLs found in the input file");
-      }
-
-      let allResults = [];
-      let processedCount = 0;
-
-      // Process each URL
-      for (const url of urls) {
-        try {
-          const headers = createHeaders({
-            "Content-Type": "application/json",
-            "Accept": "application/json",
-            "X-With-Links-Summary": withLinks ? "true" : "false",
-            "X-With-Images-Summary": withImages ? "true" : "false",
-            "X-Return-Format": format.toLowerCase()
-          });
-
-          const response = await fetch("https://r.jina.ai/", {
-            method: "POST",
-            headers,
-            body: JSON.stringify({ url })
-          });
+// SITE CRAWL TOOL
+registerCrawlTool(server);
 
-          if (!response.ok) {
-            const errorText = await response.text();
-            allResults.push(`ERROR processing ${url}: ${response.status} - ${errorText}`);
-          } else {
-            const data = await response.json();
-            const content = data.data && data.data.content ? data.data.content : JSON.stringify(data, null, 2);
-            allResults.push(`URL: ${url}\n${content}`);
-            processedCount++;
-          }
-        } catch (urlError) {
-          allResults.push(`ERROR processing ${url}: ${urlError.message}`);
-        }
-
-        // Add a small delay to avoid overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-
-      // Combine all results
-      const finalOutput = allResults.join(delimiter);
-
-      // Write to output file
-      try {
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputFile);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
-        }
-        
-        fs.writeFileSync(outputFile, finalOutput, 'utf8');
-      } catch (writeError) {
-        throw new Error(`Could not write to output file: ${writeError.message}`);
-      }
-
-      return {
-        content: [{ 
-          type: "text", 
-          text: `Successfully processed ${processedCount} out of ${urls.length} URLs.\nResults saved to: ${outputFile}\nOutput file size: ${finalOutput.length} characters`
-        }]
-      };
-    } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: `Error: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
+// URL STATUS CHECK TOOL
+registerCheckUrlsTool(server);
 
 // SEARCH TOOL
-server.tool(
-  "jina_search",
-  "Search the web for information using Jina AI's semantic search engine",
-  {
-    query: z.string().nonempty().describe("Search query to find information on the web"),
-    count: z.number()
-      .optional()
-      .default(5)
-      .describe("Number of search results to return"),
-    returnFormat: z.enum(["markdown", "text", "html"])
-      .optional()
-      .default("markdown")
-      .describe("Format of the returned search results")
-  },
-  async ({ query, count, returnFormat }) => {
-    try {
-      const encodedQuery = encodeURIComponent(query);
-      const headers = createHeaders({
-        "Accept": "application/json",
-        "X-Respond-With": "no-content"
-      });
-
-      const response = await fetch(`https://s.jina.ai/?q=${encodedQuery}`, {
-        method: "GET",
-        headers
-      });
+registerSearchTool(server);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Jina Search API error (${response.status}): ${errorText}`);
-      }
-
-      const text = await response.text();
-      
-      // Parse the JSON response
-      const data = JSON.parse(text);
-      
-      // Extract just the search results
-      let results = data.data || [];
-      
-      // Limit to the requested count
-      if (count && count > 0 && results.length > count) {
-        results = results.slice(0, count);
-      }
-      
-      // Clean up the results to remove unnecessary token information
-      results = results.map(result => {
-        // Remove the usage information
-        if (result.usage) {
-          delete result.usage;
-        }
-        return result;
-      });
-      
-      // Format the output based on returnFormat
-      let formattedOutput;
-      if (returnFormat === 'markdown') {
-        formattedOutput = results.map((result, index) => {
-          return `${index + 1}. **${result.title || 'Untitled'}**\n   ${result.url || ''}\n   ${result.description || ''}\n   ${result.date ? `Date: ${result.date}` : ''}\n`;
-        }).join('\n');
-      } else if (returnFormat === 'html') {
-        formattedOutput = `<ol>${results.map(result => 
-          `<li><strong>${result.title || 'Untitled'}</strong><br>
-           <a href="${result.url || ''}">${result.url || ''}</a><br>
-           ${result.description || ''}<br>
-           ${result.date ? `Date: ${result.date}` : ''}</li>`
-        ).join('')}</ol>`;
-      } else {
-        // Default to text format
-        formattedOutput = results.map((result, index) => {
-          return `${index + 1}. ${result.title || 'Untitled'}\n   ${result.url || ''}\n   ${result.description || ''}\n   ${result.date ? `Date: ${result.date}` : ''}`;
-        }).join('\n\n');
-      }
-      
-      return {
-        content: [{ 
-          type: "text", 
-          text: formattedOutput
-        }]
-      };
-    } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: `Error: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
+// SEARCH AND READ TOOL
+registerSearchAndReadTool(server);
 
 // FACT-CHECK TOOL
-server.tool(
-  "jina_fact_check",
-  "Verify the factuality of statements using Jina AI's fact-checking capability",
-  {
-    statement: z.string().nonempty().describe("Statement to fact-check for accuracy"),
-    deepdive: z.boolean()
-      .optional()
-      .default(false)
-      .describe("Enable deep analysis with more comprehensive research")
-  },
-  async ({ statement, deepdive }) => {
-    try {
-      const headers = createHeaders({
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      });
+registerFactCheckTool(server);
 
-      const response = await fetch("https://g.jina.ai/", {
-        method: "POST",
-        headers,
-        body: JSON.stringify({ 
-          statement,
-          deepdive
-        })
-      });
+// FACT-CHECK LIST TOOL
+registerFactCheckListTool(server);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Jina Fact-Check API error (${response.status}): ${errorText}`);
-      }
+// EMBEDDINGS TOOL
+registerEmbedTool(server);
 
-      const data = await response.json();
-      return {
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(data, null, 2)
-        }]
-      };
-    } catch (error) {
-      return {
-        content: [{ 
-          type: "text", 
-          text: `Error: ${error.message}`
-        }],
-        isError: true
-      };
-    }
-  }
-);
+// RERANK TOOL
+registerRerankTool(server);
+
+// SEMANTIC INDEX TOOLS
+registerSemanticIndexTools(server);
 
 // READ LOCAL FILE TOOL
 server.tool(
-  "jina_reader_list",
-  "Read and list content from a local file",
+  "jina_read_file",
+  "Read and list content from a local file inside the allowed directories (JINA_FS_ROOTS)",
   {
     filePath: z.string().describe("Path to the local file to read"),
     encoding: z.string()
@@ -362,8 +88,7 @@ server.tool(
   },
   async ({ filePath, encoding }) => {
     try {
-      const fullPath = path.resolve(process.cwd(), filePath);
-      const content = fs.readFileSync(fullPath, encoding);
+      const content = readSandboxedFile(filePath, encoding);
       return {
         content: [{ 
           type: "text", 
@@ -382,9 +107,28 @@ server.tool(
   }
 );
 
+// CACHE TOOL
+registerCacheTool(server);
+
+// BACKGROUND JOB TOOLS
+registerJobTools(server);
+
+// USAGE TOOL
+registerUsageTool(server);
+
+exitOnConfigError(checkToolConfig);
+
 // Main function to start the server
 async function main() {
   try {
+    if (config.transport === "http") {
+      console.error("index.js serves stdio only; start index-docker.js (npm run start:http) for the http transport");
+      process.exit(1);
+    }
+    if (config.file) {
+      console.error(`Using settings from ${config.file}`);
+    }
+
     // Check for API key (now optional)
     const apiKey = getJinaApiKey();
     if (apiKey) {
@@ -395,6 +139,10 @@ async function main() {
     } else {
       console.error("No Jina AI API key found. Some features may be limited.");
     }
+    const rootsWarning = getDefaultRootsWarning();
+    if (rootsWarning) {
+      console.error(`Warning: ${rootsWarning}`);
+    }
 
     // Connect the server to stdio transport
     const transport = new StdioServerTransport();
@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import { readSandboxedFile, resolveSandboxPath } from "./sandbox.js";
+import { getManifestPath } from "./checkpoint.js";
+
+// Marker comments written before each chunk by chunked batch runs
+const CHUNK_MARKER = /^<!-- chunk \d+\/\d+(?::.*)? -->\n?/gm;
+const FRONT_MATTER = /^---\n[\s\S]*?\n---\n\n?/;
+
+const stripChunkMarkers = (text) => text.replace(CHUNK_MARKER, "");
+
+const parseJson = (text, source) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+};
+
+// Records of JSON/JSONL output; a chunked run wrote one record per chunk, which are gathered per URL
+const fromRecords = (records) => {
+  const documents = new Map();
+  for (const record of records) {
+    if (!record || record.status !== "ok" || !record.url || typeof record.content !== "string") {
+      continue;
+    }
+
+    if (!record.chunk) {
+      documents.set(record.url, { url: record.url, title: record.title || null, content: record.content, chunks: null });
+      continue;
+    }
+
+    if (!documents.has(record.url)) {
+      documents.set(record.url, { url: record.url, title: record.title || null, content: "", chunks: [] });
+    }
+    documents.get(record.url).chunks.push({ path: record.section || [], text: record.content });
+  }
+  return [...documents.values()];
+};
+
+// Per-URL files listed in index.json, without their front matter
+const fromOutputDir = (outputDir, index) => {
+  return (index.pages || [])
+    .filter(page => page.status === "ok" && page.file && page.file === path.basename(page.file))
+    .map(page => {
+      const text = readSandboxedFile(path.join(outputDir, page.file));
+      return { url: page.url, title: page.title || null, content: stripChunkMarkers(text.replace(FRONT_MATTER, "")), chunks: null };
+    });
+};
+
+const loadManifest = (outputFile) => {
+  try {
+    return JSON.parse(readSandboxedFile(getManifestPath(outputFile)));
+  } catch {
+    return null;
+  }
+};
+
+// Entries of text output, located through the manifest that sits next to it
+const fromTextOutput = (outputFile, manifest) => {
+  if (!manifest) {
+    throw new Error(`Cannot split ${outputFile} into pages without its manifest (${getManifestPath(outputFile)}); use jsonl or json output instead`);
+  }
+
+  const content = readSandboxedFile(manifest.contentFile, null);
+  return manifest.entries
+    .filter(entry => entry.status === "ok" && entry.offset !== null)
+    .map(entry => {
+      // Each entry is "URL: <url>" followed by the page
+      const text = content.subarray(entry.offset, entry.offset + entry.length).toString("utf8");
+      return { url: entry.url, title: null, content: stripChunkMarkers(text.replace(/^URL: .*\n/, "")), chunks: null };
+    });
+};
+
+const EXTENSION_FORMATS = {
+  ".jsonl": "jsonl",
+  ".json": "json"
+};
+
+// Read back the pages a batch run (jina_reader_list or jina_crawl) wrote: an outputFile in any
+// outputFormat, or an outputDir (or its index.json). Returns [{ url, title, content, chunks }] for every
+// page read successfully; `chunks` ([{ path, text }]) is set when the run already split pages up.
+export const loadBatchDocuments = (source) => {
+  const resolved = resolveSandboxPath(source);
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    return fromOutputDir(resolved, parseJson(readSandboxedFile(path.join(resolved, "index.json")), source));
+  }
+
+  // The manifest knows the layout; without one the extension has to do
+  const manifest = loadManifest(resolved);
+  const outputFormat = manifest && manifest.options
+    ? manifest.options.outputFormat
+    : EXTENSION_FORMATS[path.extname(resolved).toLowerCase()] || "text";
+
+  if (outputFormat === "jsonl") {
+    const records = readSandboxedFile(resolved)
+      .split("\n")
+      .filter(line => line.trim())
+      .map((line, index) => parseJson(line, `Line ${index + 1} of ${source}`));
+    return fromRecords(records);
+  }
+
+  if (outputFormat === "json") {
+    const data = parseJson(readSandboxedFile(resolved), source);
+    return Array.isArray(data) ? fromRecords(data) : fromOutputDir(path.dirname(resolved), data);
+  }
+
+  return fromTextOutput(resolved, manifest);
+};
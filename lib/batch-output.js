@@ -0,0 +1,86 @@
+import path from "path";
+import { getErrorReason, OUTPUT_FORMATS } from "./batch.js";
+import { openCheckpoint } from "./checkpoint.js";
+import { openOutputDir, getUrlSlug } from "./output-dir.js";
+import { getImageExtension, saveImage } from "./images.js";
+
+// Check the output arguments shared by every batch-writing tool
+export const validateBatchOutput = ({ outputFile, outputDir, outputFormat = "text" }) => {
+  if (Boolean(outputFile) === Boolean(outputDir)) {
+    throw new Error("Provide exactly one of outputFile or outputDir");
+  }
+  if (outputDir && outputFormat !== "text") {
+    throw new Error("outputFormat applies to outputFile only; outputDir always writes an index.json");
+  }
+};
+
+// Open the output of a batch run: a single checkpointed outputFile in the chosen
+// outputFormat, or an outputDir with one file per URL. Both track progress on disk
+// (manifest or index.json) so an interrupted run can resume.
+// Screenshots are saved as image files (in outputDir, or in a `<name>-images` directory
+// next to outputFile) and the output references them with a relative Markdown image link.
+export const openBatchOutput = ({ outputFile, outputDir, outputFormat = "text", delimiter = "\n---\n" }, urls, options, { resume = false } = {}) => {
+  const { render, layout } = OUTPUT_FORMATS[outputFormat];
+  const imageBase = outputDir || path.dirname(outputFile);
+  const imagePrefix = outputDir ? "" : `${path.basename(outputFile, path.extname(outputFile))}-images/`;
+
+  const withSavedImage = (result) => {
+    const { image, ...page } = result.page;
+    const imageFile = `${imagePrefix}${getUrlSlug(result.url)}${getImageExtension(image.mimeType)}`;
+    saveImage(path.join(imageBase, imageFile), image);
+    return { ...result, page: { ...page, imageFile, content: `![${options.format} of ${result.url}](${imageFile})` } };
+  };
+
+  let checkpoint;
+  try {
+    checkpoint = outputDir
+      ? openOutputDir(outputDir, urls, options, { resume })
+      : openCheckpoint(outputFile, urls, { ...options, outputFormat }, { resume });
+  } catch (checkpointError) {
+    throw new Error(`Could not open batch ${outputDir ? "index" : "manifest"}: ${checkpointError.message}`);
+  }
+
+  return {
+    // The file that holds the run's results: the output file, or index.json of an output directory
+    resultPath: outputDir ? checkpoint.indexPath : checkpoint.outputFile,
+    pendingIndexes: checkpoint.pendingIndexes,
+    resumedCount: checkpoint.resumedCount,
+    // Add URLs discovered during the run; returns the index of the first, for `record`
+    add: checkpoint.add,
+
+    // Record a batch result (as produced by readUrlBatch) for the URL at `index`
+    record: (index, batchResult) => {
+      const result = batchResult.ok && batchResult.page.image ? withSavedImage(batchResult) : batchResult;
+      checkpoint.record(index, {
+        ok: result.ok,
+        page: result.page,
+        text: render(result, options),
+        error: result.ok ? null : getErrorReason(result.error),
+        retries: result.retries,
+        durationMs: result.durationMs
+      });
+    },
+
+    // Write the final output and return summary lines describing where it went
+    finalize: () => {
+      try {
+        if (outputDir) {
+          const pages = checkpoint.finalize();
+          return [
+            `Results saved to: ${outputDir} (${pages.filter(page => page.status !== "pending").length} files)`,
+            `Index: ${checkpoint.indexPath}`
+          ];
+        }
+
+        const finalOutput = checkpoint.finalize(layout(delimiter));
+        return [
+          `Results saved to: ${outputFile}`,
+          `Output file size: ${finalOutput.length} characters`,
+          `Manifest: ${checkpoint.manifestPath}`
+        ];
+      } catch (writeError) {
+        throw new Error(`Could not write to output ${outputDir ? "directory" : "file"}: ${writeError.message}`);
+      }
+    }
+  };
+};
@@ -0,0 +1,251 @@
+import { readPage, getPageContent } from "./jina-client.js";
+import { sleep, isCancelled, RequestCancelledError, formatRetryAfter } from "./retry.js";
+import { isImageFormat, fetchPageImage } from "./images.js";
+import { isBudgetExceeded } from "./usage.js";
+import { truncateText, chunkMarkdown, formatSectionPath } from "./text.js";
+
+// Run `worker` over every item with at most `concurrency` calls in flight.
+// Results are returned in input order regardless of completion order.
+// Once `signal` is aborted no further items are started; their results stay undefined.
+export const mapWithConcurrency = async (items, concurrency, worker, { signal } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length && !(signal && signal.aborted)) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+};
+
+// Placeholder result for a URL that was not read because the batch was cancelled
+const toCancelledResult = (url, retries = 0, durationMs = 0) => {
+  return { url, ok: false, cancelled: true, error: new RequestCancelledError(`Reading ${url}`), httpStatus: null, retries, durationMs };
+};
+
+// Read every URL through the Jina Reader using a bounded worker pool.
+// Failures are captured per URL so one bad page never aborts the batch;
+// `onResult` is called with each result as soon as its URL finishes, followed by
+// `onProgress({ completed, total, url })`.
+// For Screenshot and Pageshot the image is downloaded too and attached as `page.image`.
+// Aborting `signal` stops in-flight requests and starts no new ones; the URLs that did
+// not finish come back as `cancelled` results that never reach `onResult`.
+// Once the session's token budget is spent no new URLs are started either: the rest come back
+// the same way and the TokenBudgetError is returned as `budgetError`.
+export const readUrlBatch = async (urls, { format, withLinks, withImages, controls, concurrency = 5, delayMs = 100, noCache = false, signal, onResult, onProgress } = {}) => {
+  const startedAt = Date.now();
+  let completed = 0;
+  let budgetError = null;
+
+  // Stops starting URLs on a cancellation or once the budget is spent; requests in flight keep `signal`
+  const stop = new AbortController();
+  if (signal) {
+    if (signal.aborted) {
+      stop.abort();
+    } else {
+      signal.addEventListener("abort", () => stop.abort(), { once: true });
+    }
+  }
+
+  const results = await mapWithConcurrency(urls, concurrency, async (url, index) => {
+    const urlStartedAt = Date.now();
+    let retries = 0;
+    let result;
+
+    try {
+      let { page, httpStatus } = await readPage(url, { format, withLinks, withImages, controls }, { noCache, signal, onRetry: () => retries++ });
+      if (isImageFormat(format)) {
+        page = { ...page, image: await fetchPageImage(page, format, { signal, onRetry: () => retries++ }) };
+      }
+      result = { url, ok: true, page, httpStatus, retries, durationMs: Date.now() - urlStartedAt };
+    } catch (error) {
+      if (isCancelled(error)) {
+        return toCancelledResult(url, retries, Date.now() - urlStartedAt);
+      }
+      if (isBudgetExceeded(error)) {
+        budgetError = budgetError || error;
+        stop.abort();
+        return toCancelledResult(url, retries, Date.now() - urlStartedAt);
+      }
+      result = { url, ok: false, error, httpStatus: error.status || null, retries, durationMs: Date.now() - urlStartedAt };
+    }
+
+    if (onResult) {
+      onResult(result, index);
+
+      // Image bytes have been written by now; don't hold every screenshot of a large batch in memory
+      if (result.ok && result.page.image) {
+        result.page.image.data = null;
+      }
+    }
+
+    completed++;
+    if (onProgress) {
+      onProgress({ completed, total: urls.length, url });
+    }
+
+    // Add a small delay per worker to avoid overwhelming the API
+    if (delayMs > 0) {
+      await sleep(delayMs, signal);
+    }
+
+    return result;
+  }, { signal: stop.signal });
+
+  // URLs never started because of a cancellation or the budget
+  for (let index = 0; index < urls.length; index++) {
+    if (!results[index]) {
+      results[index] = toCancelledResult(urls[index]);
+    }
+  }
+
+  return {
+    results,
+    processedCount: results.filter(result => result.ok).length,
+    cancelled: !budgetError && results.some(result => result.cancelled),
+    budgetError,
+    durationMs: Date.now() - startedAt
+  };
+};
+
+// Short reason for a failed URL: the HTTP status and body for API errors, with any Retry-After
+// wait, otherwise the message
+export const getErrorReason = (error) => {
+  if (!error.status) {
+    return error.message;
+  }
+  return `${error.status} - ${error.body}${error.retryAfterMs ? ` (retry after ${formatRetryAfter(error.retryAfterMs)})` : ""}`;
+};
+
+export const formatBatchError = (url, reason) => `ERROR processing ${url}: ${reason}`;
+
+// Render a single batch result the way it appears in the delimiter-joined output file
+export const formatBatchEntry = (result) => {
+  if (result.ok) {
+    return `URL: ${result.url}\n${getPageContent(result.page)}`;
+  }
+
+  return formatBatchError(result.url, getErrorReason(result.error));
+};
+
+// Comment line that opens each chunk in text output and per-URL files
+const formatChunkMarker = (chunk, total) => {
+  const section = chunk.path.length > 0 ? `: ${formatSectionPath(chunk.path)}` : "";
+  return `<!-- chunk ${chunk.number}/${total}${section} -->`;
+};
+
+// Fit a successful page into `maxChars`: trimmed at a boundary, or with `chunk` split into
+// numbered `result.chunks`. The page content becomes the chunks, each after a marker comment,
+// so text output and per-URL files can be sliced; JSON output gets one record per chunk.
+export const applyPageBudget = (result, { maxChars, chunk = false } = {}) => {
+  if (!maxChars || !result.ok || result.page.image) {
+    return result;
+  }
+
+  const content = getPageContent(result.page);
+  if (!chunk) {
+    const { text, truncated } = truncateText(content, maxChars);
+    return truncated ? { ...result, page: { ...result.page, content: text }, truncated: true } : result;
+  }
+
+  const chunks = chunkMarkdown(content, maxChars);
+  return {
+    ...result,
+    chunks,
+    page: {
+      ...result.page,
+      content: chunks.map(entry => `${formatChunkMarker(entry, chunks.length)}\n${entry.text}`).join("\n\n")
+    }
+  };
+};
+
+// Structured record for a single batch result, as written in JSON and JSONL output
+export const toBatchRecord = (result, { withLinks = false, withImages = false } = {}) => {
+  const page = result.ok ? result.page : {};
+  const record = {
+    url: result.url,
+    status: result.ok ? "ok" : "error",
+    httpStatus: result.httpStatus,
+    title: page.title || null,
+    content: result.ok ? getPageContent(page) : null
+  };
+
+  if (withLinks) {
+    record.links = page.links || null;
+  }
+  if (withImages) {
+    record.images = page.images || null;
+  }
+  if (page.imageFile) {
+    record.image = page.imageFile;
+  }
+
+  if (result.truncated) {
+    record.truncated = true;
+  }
+
+  record.error = result.ok ? null : getErrorReason(result.error);
+  record.retries = result.retries;
+  record.durationMs = result.durationMs;
+  return record;
+};
+
+// Records for a batch result: one per chunk for a chunked page, otherwise just the one
+const toBatchRecords = (result, options) => {
+  const record = toBatchRecord(result, options);
+  if (!result.chunks) {
+    return [record];
+  }
+
+  const { url, status, httpStatus, title, ...rest } = record;
+  return result.chunks.map(entry => ({
+    url,
+    status,
+    httpStatus,
+    title,
+    chunk: entry.number,
+    chunks: result.chunks.length,
+    section: entry.path,
+    ...rest,
+    content: entry.text
+  }));
+};
+
+// How each outputFormat renders results and joins them into the output file
+export const OUTPUT_FORMATS = {
+  text: {
+    render: (result) => formatBatchEntry(result),
+    layout: (delimiter) => ({ delimiter })
+  },
+  jsonl: {
+    render: (result, options) => toBatchRecords(result, options).map(record => JSON.stringify(record)).join("\n"),
+    layout: () => ({ delimiter: "\n", suffix: "\n" })
+  },
+  json: {
+    render: (result, options) => toBatchRecords(result, options).map(record => JSON.stringify(record, null, 2)).join(",\n"),
+    layout: () => ({ delimiter: ",\n", prefix: "[\n", suffix: "\n]\n" })
+  }
+};
+
+// List the URLs that needed retries, e.g. for the tool summary
+export const formatRetrySummary = (results) => {
+  const retried = results.filter(result => result.retries > 0);
+  if (retried.length === 0) {
+    return "Retries: none";
+  }
+
+  const total = retried.reduce((sum, result) => sum + result.retries, 0);
+  const lines = retried.map(result => `  - ${result.url}: ${result.retries} ${result.retries === 1 ? "retry" : "retries"}`);
+  return `Retries: ${total} across ${retried.length} URLs\n${lines.join("\n")}`;
+};
+
+// Human-readable timing line for batch summaries
+export const formatDuration = (ms) => {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+};
@@ -0,0 +1,165 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Session counters reported by the cache stats tool
+const counters = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+const readPositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// The cache is opt-in: it is enabled by pointing JINA_CACHE_DIR at a directory
+export const getCacheConfig = () => {
+  const dir = process.env.JINA_CACHE_DIR || null;
+  return {
+    enabled: Boolean(dir),
+    dir: dir ? path.resolve(dir) : null,
+    ttlMs: readPositiveNumber(process.env.JINA_CACHE_TTL_SECONDS, 3600) * 1000,
+    maxBytes: readPositiveNumber(process.env.JINA_CACHE_MAX_MB, 100) * 1024 * 1024
+  };
+};
+
+// Build a stable cache key from the endpoint, target and result-affecting options
+export const createCacheKey = (parts) => {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+};
+
+const entryPath = (config, key) => path.join(config.dir, `${key}.json`);
+
+// List cache entries with the file stats used for size accounting and LRU ordering
+const listEntries = (config) => {
+  if (!fs.existsSync(config.dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(config.dir)
+    .filter(name => name.endsWith(".json"))
+    .map(name => {
+      const file = path.join(config.dir, name);
+      try {
+        const stats = fs.statSync(file);
+        return { file, size: stats.size, lastUsed: stats.mtimeMs };
+      } catch {
+        // Removed concurrently
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+const removeEntry = (file) => {
+  try {
+    fs.unlinkSync(file);
+  } catch {
+    // Already gone
+  }
+};
+
+// Drop least recently used entries until the cache fits within its size cap
+const evict = (config) => {
+  const entries = listEntries(config).sort((a, b) => a.lastUsed - b.lastUsed);
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  for (const entry of entries) {
+    if (totalBytes <= config.maxBytes) {
+      break;
+    }
+    removeEntry(entry.file);
+    totalBytes -= entry.size;
+    counters.evictions++;
+  }
+};
+
+// Return the cached value for `key`, or undefined when missing or expired
+export const getCached = (key) => {
+  const config = getCacheConfig();
+  if (!config.enabled) {
+    return undefined;
+  }
+
+  const file = entryPath(config, key);
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    if (Date.now() - entry.createdAt > config.ttlMs) {
+      removeEntry(file);
+      counters.misses++;
+      return undefined;
+    }
+
+    // Touch the entry so eviction treats it as recently used
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    counters.hits++;
+    return entry.value;
+  } catch {
+    counters.misses++;
+    return undefined;
+  }
+};
+
+// Store `value` under `key`, evicting old entries if the cache grows past its cap
+export const setCached = (key, value) => {
+  const config = getCacheConfig();
+  if (!config.enabled) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(config.dir, { recursive: true });
+
+    // Write to a temporary file first so concurrent readers never see a partial entry
+    const file = entryPath(config, key);
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ createdAt: Date.now(), value }), "utf8");
+    fs.renameSync(tempFile, file);
+    counters.writes++;
+
+    evict(config);
+  } catch (error) {
+    // A broken cache must never fail the tool call itself
+    console.error(`Cache write failed: ${error.message}`);
+  }
+};
+
+// Serve `load()` from the cache unless `noCache` is set; fresh results are always stored
+export const withCache = async (keyParts, { noCache = false } = {}, load) => {
+  const key = createCacheKey(keyParts);
+
+  if (!noCache) {
+    const cachedValue = getCached(key);
+    if (cachedValue !== undefined) {
+      return cachedValue;
+    }
+  }
+
+  const value = await load();
+  setCached(key, value);
+  return value;
+};
+
+export const getCacheStats = () => {
+  const config = getCacheConfig();
+  const entries = config.enabled ? listEntries(config) : [];
+
+  return {
+    ...config,
+    entries: entries.length,
+    totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    ...counters
+  };
+};
+
+// Remove every cache entry and return how many were deleted
+export const clearCache = () => {
+  const config = getCacheConfig();
+  if (!config.enabled) {
+    return 0;
+  }
+
+  const entries = listEntries(config);
+  entries.forEach(entry => removeEntry(entry.file));
+  return entries.length;
+};
@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import { resolveSandboxPath } from "./sandbox.js";
+
+const MANIFEST_VERSION = 1;
+
+// The manifest and the spool of finished entries live next to the output file
+export const getManifestPath = (outputFile) => `${outputFile}.manifest.json`;
+const getSpoolPath = (outputFile) => `${outputFile}.partial`;
+
+// Write via a temporary file so a crash never leaves a truncated manifest behind
+export const writeFileAtomic = (file, data) => {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, data);
+  fs.renameSync(tempFile, file);
+};
+
+const readSlice = (file, offset, length) => {
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, buffer, 0, length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buffer.toString("utf8");
+};
+
+const loadManifest = (manifestPath) => {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    return manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch {
+    return null;
+  }
+};
+
+// Recover the text of every entry that succeeded in a previous run, keyed by URL
+const recoverCompleted = (manifest) => {
+  const completed = new Map();
+  if (!manifest) {
+    return completed;
+  }
+
+  for (const entry of manifest.entries) {
+    if (entry.status !== "ok" || completed.has(entry.url)) {
+      continue;
+    }
+    try {
+      // The manifest is just a file on disk, so its content path is checked like any other
+      const contentFile = resolveSandboxPath(manifest.contentFile);
+      completed.set(entry.url, { ...entry, text: readSlice(contentFile, entry.offset, entry.length) });
+    } catch {
+      // Content went missing; the URL is simply fetched again
+    }
+  }
+
+  return completed;
+};
+
+const createPendingEntry = (url) => {
+  return { url, status: "pending", error: null, retries: 0, durationMs: null, offset: null, length: null };
+};
+
+// Open the checkpoint for a batch run. With `resume`, URLs that succeeded in the
+// previous run of the same output file are carried over instead of being fetched again.
+export const openCheckpoint = (requestedOutputFile, urls, options, { resume = false } = {}) => {
+  const outputFile = resolveSandboxPath(requestedOutputFile, { write: true });
+  const manifestPath = resolveSandboxPath(getManifestPath(outputFile), { write: true });
+  const spoolPath = resolveSandboxPath(getSpoolPath(outputFile), { write: true });
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+
+  const previous = resume ? loadManifest(manifestPath) : null;
+  if (previous && JSON.stringify(previous.options) !== JSON.stringify(options)) {
+    throw new Error(`Cannot resume: ${manifestPath} was created with different options (${JSON.stringify(previous.options)})`);
+  }
+
+  // Carry completed entries into a fresh spool so every offset refers to a single file
+  const completed = recoverCompleted(previous);
+  let spoolBytes = 0;
+  fs.writeFileSync(spoolPath, "");
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    outputFile,
+    contentFile: spoolPath,
+    options,
+    completed: false,
+    createdAt: previous ? previous.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    entries: urls.map((url) => {
+      const done = completed.get(url);
+      if (!done) {
+        return createPendingEntry(url);
+      }
+
+      const buffer = Buffer.from(done.text, "utf8");
+      fs.appendFileSync(spoolPath, buffer);
+      const entry = { ...done, offset: spoolBytes, length: buffer.length, resumed: true };
+      delete entry.text;
+      spoolBytes += buffer.length;
+      return entry;
+    })
+  };
+
+  const save = () => {
+    manifest.updatedAt = new Date().toISOString();
+    writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+  };
+
+  save();
+
+  return {
+    outputFile,
+    manifestPath,
+
+    // Indexes of the URLs that still need to be fetched
+    pendingIndexes: () => manifest.entries
+      .map((entry, index) => (entry.status === "ok" ? null : index))
+      .filter(index => index !== null),
+
+    resumedCount: () => manifest.entries.filter(entry => entry.resumed).length,
+
+    // Add URLs found while the run goes on (e.g. by a crawl) as pending entries; returns the index of the first
+    add: (moreUrls) => {
+      const first = manifest.entries.length;
+      manifest.entries.push(...moreUrls.map(createPendingEntry));
+      save();
+      return first;
+    },
+
+    // Record the outcome of one URL as soon as it finishes. `text` is its rendered
+    // output entry; failed entries are stored too but fetched again on resume.
+    record: (index, { ok, text, error, retries = 0, durationMs = null }) => {
+      const entry = manifest.entries[index];
+      const buffer = Buffer.from(text, "utf8");
+      fs.appendFileSync(spoolPath, buffer);
+
+      entry.status = ok ? "ok" : "error";
+      entry.error = ok ? null : error;
+      entry.retries = retries;
+      entry.durationMs = durationMs;
+      entry.offset = spoolBytes;
+      entry.length = buffer.length;
+      entry.resumed = false;
+      spoolBytes += buffer.length;
+
+      save();
+    },
+
+    // Assemble the output file in input order and point the manifest at it.
+    // `prefix` and `suffix` wrap the joined entries (e.g. brackets of a JSON array).
+    // URLs still pending (e.g. after a cancellation) are left out and the manifest stays incomplete.
+    finalize: ({ delimiter, prefix = "", suffix = "" }) => {
+      const finished = manifest.entries.filter(entry => entry.status !== "pending");
+      const parts = finished.map(entry => readSlice(spoolPath, entry.offset, entry.length));
+
+      const finalOutput = prefix + parts.join(delimiter) + suffix;
+      writeFileAtomic(outputFile, finalOutput);
+
+      // Offsets now refer to the assembled output file
+      const delimiterBytes = Buffer.byteLength(delimiter, "utf8");
+      let offset = Buffer.byteLength(prefix, "utf8");
+      finished.forEach((entry, index) => {
+        const length = Buffer.byteLength(parts[index], "utf8");
+        entry.offset = offset;
+        entry.length = length;
+        offset += length + delimiterBytes;
+      });
+
+      manifest.contentFile = outputFile;
+      manifest.completed = finished.length === manifest.entries.length;
+      save();
+      fs.rmSync(spoolPath, { force: true });
+
+      return finalOutput;
+    }
+  };
+};
@@ -0,0 +1,82 @@
+import path from "path";
+import { readSandboxedFile } from "./sandbox.js";
+
+export const CLAIM_FORMATS = ["auto", "text", "jsonl"];
+
+// Plain text: one claim per line, `#` comment lines ignored; ids are the line numbers
+const parseText = (content) => {
+  return content
+    .split("\n")
+    .map((line, index) => ({ id: String(index + 1), statement: line.trim() }))
+    .filter(({ statement }) => statement && !statement.startsWith("#"));
+};
+
+// JSONL: one object per line, with the claim in `claimField` and an optional id in `idField`
+const parseJsonl = (content, { idField, claimField }) => {
+  return content
+    .split("\n")
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid JSON on line ${number} of JSONL claims`);
+      }
+      const statement = typeof item === "string" ? item : item[claimField];
+      if (typeof statement !== "string" || !statement.trim()) {
+        throw new Error(`Line ${number} of JSONL claims has no "${claimField}" field`);
+      }
+      const id = typeof item === "object" && item[idField] !== undefined ? String(item[idField]) : String(number);
+      return { id, statement: statement.trim() };
+    });
+};
+
+const detectClaimFormat = (fileName, content) => {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === ".jsonl" || extension === ".ndjson") {
+    return "jsonl";
+  }
+  const lines = content.split("\n").map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 && lines.every(line => line.startsWith("{")) ? "jsonl" : "text";
+};
+
+// Collect claims ({ id, statement }) from a claims file and/or an inline list.
+// Inline claims are numbered `inline-1`, ... next to a file, 1, 2, ... on their own; duplicate ids are rejected.
+export const loadClaims = ({ inputFile, claims: inlineClaims, inputFormat = "auto", idField = "id", claimField = "claim" } = {}) => {
+  if (!inputFile && (!inlineClaims || inlineClaims.length === 0)) {
+    throw new Error("Provide an inputFile or a non-empty claims array");
+  }
+
+  const claims = [];
+
+  if (inputFile) {
+    let fileContent;
+    try {
+      fileContent = readSandboxedFile(inputFile);
+    } catch (fileError) {
+      throw new Error(`Could not read claims file: ${fileError.message}`);
+    }
+
+    const format = inputFormat === "auto" ? detectClaimFormat(inputFile, fileContent) : inputFormat;
+    claims.push(...(format === "jsonl" ? parseJsonl(fileContent, { idField, claimField }) : parseText(fileContent)));
+  }
+
+  if (inlineClaims) {
+    inlineClaims
+      .map(statement => statement.trim())
+      .filter(Boolean)
+      .forEach((statement, index) => claims.push({ id: inputFile ? `inline-${index + 1}` : String(index + 1), statement }));
+  }
+
+  const seen = new Set();
+  claims.forEach(({ id }) => {
+    if (seen.has(id)) {
+      throw new Error(`Duplicate claim id: ${id}`);
+    }
+    seen.add(id);
+  });
+
+  return claims;
+};
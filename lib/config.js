@@ -0,0 +1,301 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+
+export const CONFIG_FILE_NAME = "jina-mcp.config.json";
+
+// Error raised for a missing, unreadable or invalid configuration
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+const toolSettingsSchema = z.object({
+  enabled: z.boolean().optional(),
+  defaults: z.record(z.unknown()).optional()
+}).strict();
+
+const configSchema = z.object({
+  transport: z.enum(["stdio", "http"]).optional(),
+  port: z.number().int().min(1).max(65535).optional(),
+  timeoutMs: z.number().int().min(1).optional(),
+  maxAttempts: z.number().int().min(1).optional(),
+  concurrency: z.number().int().min(1).optional(),
+  jobConcurrency: z.number().int().min(1).optional(),
+  sessionTokenBudget: z.number().int().min(1).optional(),
+  tools: z.record(toolSettingsSchema).optional()
+}).strict();
+
+// Settings that stand in for the environment variables the rest of the server reads
+const ENV_SETTINGS = {
+  transport: "MCP_MODE",
+  port: "PORT",
+  timeoutMs: "JINA_TIMEOUT_MS",
+  maxAttempts: "JINA_MAX_ATTEMPTS",
+  jobConcurrency: "JINA_JOB_CONCURRENCY",
+  sessionTokenBudget: "JINA_SESSION_TOKEN_BUDGET"
+};
+
+// Command-line flags that take a number, and the setting each one sets
+const NUMBER_FLAGS = {
+  "--port": "port",
+  "--timeout-ms": "timeoutMs",
+  "--max-attempts": "maxAttempts",
+  "--concurrency": "concurrency",
+  "--job-concurrency": "jobConcurrency",
+  "--session-token-budget": "sessionTokenBudget"
+};
+
+export const USAGE = `Usage: jina-mcp-tools [options]
+
+Options:
+  --config <file>          Settings file (default: ./${CONFIG_FILE_NAME} when it exists, or JINA_MCP_CONFIG)
+  --transport <mode>       stdio or http
+  --port <n>               Port for the http transport
+  --timeout-ms <n>         Per-attempt timeout of Jina requests
+  --max-attempts <n>       Attempts per Jina request, including the first
+  --concurrency <n>        Default concurrency of every tool that has a concurrency parameter,
+                           lowered to the tool's maximum where it allows less
+  --job-concurrency <n>    Background jobs run at the same time
+  --session-token-budget <n>
+                           Jina tokens a session may use before its tools refuse to run
+  --enable <tools>         Comma-separated tools to enable
+  --disable <tools>        Comma-separated tools to disable
+  --set <tool.param=value> Default for a tool parameter, e.g. --set jina_search.count=10 (repeatable)
+  --help                   Show this help`;
+
+const formatIssues = (source, issues) => {
+  const lines = issues.map(issue => `  ${issue.path.length > 0 ? `${issue.path.join(".")}: ` : ""}${issue.message}`);
+  return `Invalid settings in ${source}:\n${lines.join("\n")}`;
+};
+
+const validateSettings = (source, settings) => {
+  const result = configSchema.safeParse(settings);
+  if (!result.success) {
+    throw new ConfigError(formatIssues(source, result.error.issues));
+  }
+  return result.data;
+};
+
+const getToolSettings = (settings, tool) => {
+  settings.tools = settings.tools || {};
+  settings.tools[tool] = settings.tools[tool] || {};
+  return settings.tools[tool];
+};
+
+// Parse the command line into settings of the same shape as the file, plus the flags about the file itself
+export const parseArgs = (argv) => {
+  const settings = {};
+  let configFile = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    let flag = argv[i];
+    let value;
+    const separator = flag.indexOf("=");
+    if (flag.startsWith("--") && separator > 0) {
+      value = flag.slice(separator + 1);
+      flag = flag.slice(0, separator);
+    }
+
+    if (flag === "--help" || flag === "-h") {
+      help = true;
+      continue;
+    }
+    if (!["--config", "--transport", "--enable", "--disable", "--set"].includes(flag) && !NUMBER_FLAGS[flag]) {
+      throw new ConfigError(`Unknown option ${flag}; run with --help to list the options`);
+    }
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) {
+        throw new ConfigError(`${flag} needs a value`);
+      }
+    }
+
+    if (flag === "--config") {
+      configFile = value;
+    } else if (flag === "--transport") {
+      settings.transport = value;
+    } else if (NUMBER_FLAGS[flag]) {
+      const number = Number(value);
+      if (value.trim() === "" || !Number.isFinite(number)) {
+        throw new ConfigError(`${flag} expects a number, got "${value}"`);
+      }
+      settings[NUMBER_FLAGS[flag]] = number;
+    } else if (flag === "--enable" || flag === "--disable") {
+      for (const tool of value.split(",").map(name => name.trim()).filter(Boolean)) {
+        getToolSettings(settings, tool).enabled = flag === "--enable";
+      }
+    } else {
+      const match = value.match(/^([^.=]+)\.([^=]+)=(.*)$/s);
+      if (!match) {
+        throw new ConfigError(`--set expects tool.param=value, got "${value}"`);
+      }
+      const [, tool, param, raw] = match;
+      // Values are JSON where they parse as JSON (numbers, booleans, arrays) and plain strings otherwise
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        parsed = raw;
+      }
+      const toolSettings = getToolSettings(settings, tool);
+      toolSettings.defaults = { ...toolSettings.defaults, [param]: parsed };
+    }
+  }
+
+  return { settings, configFile, help };
+};
+
+// Read the settings file: the one named on the command line or in JINA_MCP_CONFIG, which must exist,
+// or jina-mcp.config.json in the working directory when there is one
+const readConfigFile = (requestedFile, cwd) => {
+  const file = requestedFile ? path.resolve(cwd, requestedFile) : path.join(cwd, CONFIG_FILE_NAME);
+  if (!fs.existsSync(file)) {
+    if (requestedFile) {
+      throw new ConfigError(`Settings file ${file} does not exist`);
+    }
+    return { file: null, settings: {} };
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ConfigError(`Cannot read settings file ${file}: ${error.message}`);
+  }
+  return { file, settings: validateSettings(file, settings) };
+};
+
+// Command-line settings override the file's, tool by tool and default by default
+const mergeSettings = (base, override) => {
+  const tools = { ...base.tools };
+  for (const [tool, settings] of Object.entries(override.tools || {})) {
+    const current = tools[tool] || {};
+    tools[tool] = { ...current, ...settings, defaults: { ...current.defaults, ...settings.defaults } };
+  }
+  return { ...base, ...override, tools };
+};
+
+// Load the settings from the file and the command line. Settings with an environment variable
+// counterpart are handed on through it: the file fills in variables the environment leaves unset,
+// while the command line overrides both.
+export const loadConfig = ({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) => {
+  const { settings: cliSettings, configFile, help } = parseArgs(argv);
+  if (help) {
+    return { help: true };
+  }
+
+  const { file, settings: fileSettings } = readConfigFile(configFile || env.JINA_MCP_CONFIG, cwd);
+  const commandLine = validateSettings("command-line options", cliSettings);
+
+  for (const [key, variable] of Object.entries(ENV_SETTINGS)) {
+    if (commandLine[key] !== undefined) {
+      env[variable] = String(commandLine[key]);
+    } else if (fileSettings[key] !== undefined && !env[variable]) {
+      env[variable] = String(fileSettings[key]);
+    }
+  }
+
+  return { file, ...mergeSettings(fileSettings, commandLine) };
+};
+
+// Run `load`, exiting with its message instead of a stack trace when the settings are invalid
+export const exitOnConfigError = (load) => {
+  try {
+    return load();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
+  }
+};
+
+// Settings for an entry point; --help prints the usage and exits
+export const loadStartupConfig = () => {
+  const config = exitOnConfigError(() => loadConfig());
+  if (config.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  return config;
+};
+
+// The global concurrency brought within the range a tool's `concurrency` parameter allows
+const fitConcurrency = (schema, concurrency) => {
+  let inner = schema;
+  while (inner instanceof z.ZodDefault || inner instanceof z.ZodOptional) {
+    inner = inner instanceof z.ZodDefault ? inner.removeDefault() : inner.unwrap();
+  }
+  if (!(inner instanceof z.ZodNumber)) {
+    return concurrency;
+  }
+
+  const max = inner.maxValue === null ? concurrency : Math.min(concurrency, inner.maxValue);
+  return inner.minValue === null ? max : Math.max(max, inner.minValue);
+};
+
+// A copy of `shape` with the configured defaults; values that do not fit a parameter are added to
+// `problems`. The global `concurrency` is clamped to each tool's range instead, and only an
+// explicit tools.<name>.defaults.concurrency that does not fit is a problem.
+const applyDefaults = (tool, shape, defaults, concurrency, problems) => {
+  const values = { ...defaults };
+  const useGlobalConcurrency = concurrency !== undefined && shape.concurrency && values.concurrency === undefined;
+  if (useGlobalConcurrency) {
+    values.concurrency = fitConcurrency(shape.concurrency, concurrency);
+  }
+
+  const configured = { ...shape };
+  for (const [param, value] of Object.entries(values)) {
+    const setting = `tools.${tool}.defaults.${param}`;
+    const schema = shape[param];
+    if (!schema) {
+      problems.push(`${setting}: ${tool} has no parameter "${param}"`);
+      continue;
+    }
+
+    const base = schema instanceof z.ZodDefault ? schema.removeDefault() : schema;
+    const result = base.safeParse(value);
+    if (!result.success) {
+      if (!(useGlobalConcurrency && param === "concurrency")) {
+        problems.push(`${setting}: ${result.error.issues[0].message}`);
+      }
+      continue;
+    }
+    configured[param] = base.default(value).describe(schema.description);
+  }
+  return configured;
+};
+
+// Apply the tool settings to every tool registered on `server` from now on: disabled tools are
+// skipped and configured defaults replace the built-in ones. Returns a check to run once every
+// tool is registered, which throws a ConfigError naming each setting that did not apply.
+export const applyToolConfig = (server, config) => {
+  const registerTool = server.tool.bind(server);
+  const registered = new Set();
+  const problems = [];
+
+  server.tool = (name, description, shape, handler) => {
+    registered.add(name);
+    const settings = config.tools[name] || {};
+    if (settings.enabled === false) {
+      return undefined;
+    }
+    return registerTool(name, description, applyDefaults(name, shape, settings.defaults, config.concurrency, problems), handler);
+  };
+
+  return () => {
+    for (const name of Object.keys(config.tools)) {
+      if (!registered.has(name)) {
+        problems.push(`tools.${name}: no such tool; the tools are ${[...registered].join(", ")}`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new ConfigError(`Invalid tool settings:\n${problems.map(problem => `  ${problem}`).join("\n")}`);
+    }
+  };
+};
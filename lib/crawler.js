@@ -0,0 +1,170 @@
+import { readUrlBatch } from "./batch.js";
+
+// Turn a URL glob into a RegExp: `**` matches anything, `*` and `?` stay within one path segment
+export const globToRegExp = (glob) => {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      pattern += ".*";
+      i++;
+    } else if (char === "*") {
+      pattern += "[^/]*";
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+};
+
+// Canonical form used for de-duplication: absolute http(s) URL without fragment
+const normalizeLink = (link, baseUrl) => {
+  try {
+    const url = new URL(link, baseUrl);
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return null;
+    }
+    url.hash = "";
+    return url.href;
+  } catch {
+    return null;
+  }
+};
+
+// Jina returns the links summary as { text: url }; tolerate arrays of pairs or objects too
+const getPageLinks = (page) => {
+  const links = page && page.links;
+  if (!links) {
+    return [];
+  }
+  if (!Array.isArray(links)) {
+    return Object.values(links);
+  }
+  return links.map(link => {
+    if (Array.isArray(link)) {
+      return link[1];
+    }
+    return typeof link === "string" ? link : link && (link.url || link.href);
+  });
+};
+
+// Crawl breadth-first from `seedUrl`, reading every page with its links summary.
+// Returns the pages read (in visit order, with their depth) and the links that were skipped.
+// `onProgress({ completed, total, url, depth })` follows every page, where `total` is the number of
+// pages known so far (capped at maxPages). Aborting `signal` ends the crawl with the pages already read.
+// `onLevel(urls, depth)` is called before each level is read, and `onResult(result, index)` as soon as
+// the page at `index` of that level finishes, so callers can write pages out as the crawl goes.
+// Spending the session's token budget ends the crawl the same way, with the error as `budgetError`.
+export const crawlSite = async (seedUrl, {
+  maxDepth = 2,
+  maxPages = 50,
+  sameOrigin = true,
+  include = [],
+  exclude = [],
+  format,
+  withImages,
+  concurrency,
+  delayMs,
+  noCache,
+  signal,
+  onLevel,
+  onResult,
+  onProgress
+} = {}) => {
+  const startedAt = Date.now();
+  const seed = normalizeLink(seedUrl);
+  if (!seed) {
+    throw new Error(`Invalid seed URL: ${seedUrl}`);
+  }
+
+  const seedOrigin = new URL(seed).origin;
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+
+  const getSkipReason = (url) => {
+    if (sameOrigin && new URL(url).origin !== seedOrigin) {
+      return "different origin";
+    }
+    if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(url))) {
+      return "not matched by include";
+    }
+    if (excludePatterns.some(pattern => pattern.test(url))) {
+      return "matched by exclude";
+    }
+    return null;
+  };
+
+  const seen = new Set([seed]);
+  const visited = [];
+  const skipped = [];
+  let frontier = [seed];
+
+  let cancelled = false;
+  let budgetError = null;
+
+  for (let depth = 0; depth <= maxDepth && frontier.length > 0 && !cancelled && !budgetError; depth++) {
+    // Never read more than maxPages in total
+    const budget = Math.max(0, maxPages - visited.length);
+    frontier.slice(budget).forEach(url => skipped.push({ url, depth, reason: "maxPages reached" }));
+    const level = frontier.slice(0, budget);
+    const readBefore = visited.length;
+    if (onLevel && level.length > 0) {
+      onLevel(level, depth);
+    }
+
+    const batch = await readUrlBatch(level, {
+      format,
+      withLinks: true,
+      withImages,
+      concurrency,
+      delayMs,
+      noCache,
+      signal,
+      onResult: onResult ? (result, index) => onResult({ ...result, depth }, index) : undefined,
+      onProgress: onProgress
+        ? ({ completed, url }) => onProgress({ completed: readBefore + completed, total: readBefore + level.length, url, depth })
+        : undefined
+    });
+    cancelled = batch.cancelled;
+    budgetError = batch.budgetError;
+    const stopReason = budgetError ? "token budget exhausted" : "cancelled";
+
+    const next = [];
+    for (const result of batch.results) {
+      if (result.cancelled) {
+        skipped.push({ url: result.url, depth, reason: stopReason });
+        continue;
+      }
+
+      visited.push({ ...result, depth });
+      if (!result.ok) {
+        continue;
+      }
+
+      for (const link of getPageLinks(result.page)) {
+        const url = normalizeLink(link, result.url);
+        if (!url || seen.has(url)) {
+          continue;
+        }
+        seen.add(url);
+
+        const reason = getSkipReason(url) || (depth >= maxDepth ? "maxDepth reached" : null);
+        if (reason) {
+          skipped.push({ url, depth: depth + 1, reason });
+        } else {
+          next.push(url);
+        }
+      }
+    }
+
+    // Links found before a cancellation are never read
+    if (cancelled || budgetError) {
+      next.forEach(url => skipped.push({ url, depth: depth + 1, reason: stopReason }));
+    }
+    frontier = next;
+  }
+
+  return { visited, skipped, cancelled, budgetError, durationMs: Date.now() - startedAt };
+};
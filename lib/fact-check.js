@@ -0,0 +1,67 @@
+// Normalize a Jina Grounding response into a report with a stable shape,
+// whatever fields the API happened to fill in
+export const toFactCheckReport = (statement, data) => {
+  const factuality = Number(data && data.factuality);
+  const references = Array.isArray(data && data.references) ? data.references : [];
+
+  return {
+    statement,
+    factuality: Number.isFinite(factuality) ? factuality : null,
+    verdict: typeof (data && data.result) === "boolean" ? data.result : null,
+    reasoning: (data && data.reason) || null,
+    references: references.map((reference, index) => ({
+      number: index + 1,
+      url: reference.url || null,
+      keyQuote: reference.keyQuote || null,
+      isSupportive: typeof reference.isSupportive === "boolean" ? reference.isSupportive : null
+    }))
+  };
+};
+
+// Summary outcome of a report: the verdict, or undetermined when the API gave none
+export const getOutcome = (report) => {
+  if (report.verdict === null) {
+    return "undetermined";
+  }
+  return report.verdict ? "supported" : "refuted";
+};
+
+const OUTCOME_LABELS = {
+  supported: "✅ True",
+  refuted: "❌ False",
+  undetermined: "❓ Undetermined"
+};
+
+const SUPPORT_LABELS = {
+  true: "supports",
+  false: "contradicts",
+  null: "neutral"
+};
+
+// Render a report as Markdown; `heading` sets the level of the title line
+export const formatFactCheckReport = (report, { heading = "#", title = "Fact-Check Report" } = {}) => {
+  const lines = [
+    `${heading} ${title}`,
+    "",
+    `**Statement**: ${report.statement}`,
+    `**Verdict**: ${OUTCOME_LABELS[getOutcome(report)]}`,
+    `**Factuality score**: ${report.factuality === null ? "n/a" : `${report.factuality} (${Math.round(report.factuality * 100)}%)`}`
+  ];
+
+  if (report.reasoning) {
+    lines.push("", `${heading}# Reasoning`, "", report.reasoning);
+  }
+
+  lines.push("", `${heading}# References`, "");
+  if (report.references.length === 0) {
+    lines.push("No references returned.");
+  }
+  report.references.forEach(reference => {
+    lines.push(`${reference.number}. [${SUPPORT_LABELS[reference.isSupportive]}] ${reference.url || "(no URL)"}`);
+    if (reference.keyQuote) {
+      lines.push(`   > ${reference.keyQuote.replace(/\s*\n\s*/g, " ")}`);
+    }
+  });
+
+  return lines.join("\n");
+};
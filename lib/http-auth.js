@@ -0,0 +1,173 @@
+import fs from "fs";
+import crypto from "crypto";
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+const readLimit = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// MCP_AUTH_TOKENS: comma-separated `name:token` pairs
+const parseTokenList = (value) => {
+  return value
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error(`Invalid MCP_AUTH_TOKENS entry (expected name:token): ${entry.slice(0, separator > 0 ? separator : 8)}...`);
+      }
+      return { name: entry.slice(0, separator), token: entry.slice(separator + 1) };
+    });
+};
+
+// MCP_AUTH_TOKENS_FILE: JSON array of { name, token, rateLimitPerMinute? }
+const readTokenFile = (file) => {
+  let tokens;
+  try {
+    tokens = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read MCP_AUTH_TOKENS_FILE ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(tokens) || tokens.some(entry => !entry || !entry.name || !entry.token)) {
+    throw new Error(`MCP_AUTH_TOKENS_FILE ${file} must be a JSON array of { "name", "token" } objects`);
+  }
+  return tokens;
+};
+
+// Read the HTTP access settings. Authentication is on as soon as any token is configured.
+export const loadAccessConfig = () => {
+  const tokens = [
+    ...(process.env.MCP_AUTH_TOKENS ? parseTokenList(process.env.MCP_AUTH_TOKENS) : []),
+    ...(process.env.MCP_AUTH_TOKENS_FILE ? readTokenFile(process.env.MCP_AUTH_TOKENS_FILE) : [])
+  ];
+
+  const names = new Set();
+  tokens.forEach(({ name }) => {
+    if (names.has(name)) {
+      throw new Error(`Duplicate auth token name: ${name}`);
+    }
+    names.add(name);
+  });
+
+  return {
+    tokens,
+    rateLimitPerMinute: readLimit(process.env.MCP_RATE_LIMIT_PER_MINUTE, 120),
+    corsOrigins: (process.env.MCP_CORS_ORIGINS || "").split(",").map(origin => origin.trim()).filter(Boolean),
+    adminToken: process.env.MCP_ADMIN_TOKEN || null
+  };
+};
+
+// Compare secrets in constant time; hashing first makes the lengths equal
+const safeEqual = (a, b) => {
+  const digest = value => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+const getBearerToken = (req) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : null;
+};
+
+// Authentication, CORS and per-client rate limiting for the HTTP server.
+// Without tokens every request is let through and rate-limited per remote address.
+export const createAccessControl = ({ tokens, rateLimitPerMinute, corsOrigins, adminToken }) => {
+  // client name -> { requests, rateLimited, sessions, lastRequestAt, windowStart, windowCount }
+  const usage = new Map();
+  let rejectedAuth = 0;
+
+  const getUsage = (name) => {
+    if (!usage.has(name)) {
+      usage.set(name, { requests: 0, rateLimited: 0, sessions: 0, lastRequestAt: null, windowStart: 0, windowCount: 0 });
+    }
+    return usage.get(name);
+  };
+
+  return {
+    authEnabled: tokens.length > 0,
+
+    // The client a request belongs to ({ name, token, rateLimitPerMinute }), or null when the token is missing or unknown
+    authenticate: (req) => {
+      if (tokens.length === 0) {
+        return { name: `anonymous@${req.socket.remoteAddress}`, token: null, rateLimitPerMinute };
+      }
+
+      const presented = getBearerToken(req);
+      const match = presented && tokens.find(entry => safeEqual(entry.token, presented));
+      if (!match) {
+        rejectedAuth++;
+        return null;
+      }
+      return { name: match.name, token: match.token, rateLimitPerMinute: readLimit(match.rateLimitPerMinute, rateLimitPerMinute) };
+    },
+
+    isAdmin: (req) => {
+      const presented = getBearerToken(req);
+      return Boolean(adminToken && presented && safeEqual(adminToken, presented));
+    },
+
+    // Count a request against the client's fixed one-minute window.
+    // Returns the milliseconds to wait when the limit is exhausted, otherwise 0.
+    consume: (client) => {
+      const entry = getUsage(client.name);
+      const now = Date.now();
+      entry.lastRequestAt = new Date(now).toISOString();
+
+      if (now - entry.windowStart >= RATE_WINDOW_MS) {
+        entry.windowStart = now;
+        entry.windowCount = 0;
+      }
+
+      if (client.rateLimitPerMinute > 0 && entry.windowCount >= client.rateLimitPerMinute) {
+        entry.rateLimited++;
+        return entry.windowStart + RATE_WINDOW_MS - now;
+      }
+
+      entry.windowCount++;
+      entry.requests++;
+      return 0;
+    },
+
+    recordSession: (client) => {
+      getUsage(client.name).sessions++;
+    },
+
+    // Set CORS headers for allowed origins. Returns true when the request was a preflight and has been answered.
+    applyCors: (req, res) => {
+      const origin = req.headers.origin;
+      const allowed = origin && (corsOrigins.includes("*") || corsOrigins.includes(origin));
+
+      if (allowed) {
+        res.setHeader("Access-Control-Allow-Origin", corsOrigins.includes("*") ? "*" : origin);
+        res.setHeader("Vary", "Origin");
+        res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id, Retry-After");
+      }
+
+      if (req.method !== "OPTIONS") {
+        return false;
+      }
+
+      if (allowed) {
+        res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+        res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID");
+        res.setHeader("Access-Control-Max-Age", "86400");
+      }
+      res.writeHead(allowed ? 204 : 403);
+      res.end();
+      return true;
+    },
+
+    // Per-client counters for the admin endpoint
+    getUsageReport: () => ({
+      authEnabled: tokens.length > 0,
+      rateLimitPerMinute,
+      rejectedAuth,
+      clients: Object.fromEntries([...usage].map(([name, { requests, rateLimited, sessions, lastRequestAt }]) => [
+        name,
+        { requests, rateLimited, sessions, lastRequestAt }
+      ]))
+    })
+  };
+};
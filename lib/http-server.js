@@ -0,0 +1,249 @@
+import http from "http";
+import { randomUUID } from "crypto";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { loadAccessConfig, createAccessControl } from "./http-auth.js";
+import { getSessionUsage, getUsageTotals } from "./usage.js";
+
+// Request bodies larger than this are rejected before parsing
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Streamable HTTP clients may vanish without sending DELETE; idle sessions are closed after this
+const getSessionIdleMs = () => {
+  const minutes = Number(process.env.MCP_SESSION_IDLE_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 30) * 60 * 1000;
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+// JSON-RPC error without a request id, as the transports themselves send
+const sendRpcError = (res, status, message) => {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code: -32000, message }, id: null });
+};
+
+const readJsonBody = async (req) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+};
+
+const MCP_PATHS = new Set(["/mcp", "/sse", "/messages"]);
+
+// Serve MCP over HTTP: Streamable HTTP on /mcp and the legacy SSE pair (/sse + /messages).
+// Every client session gets its own server from `createServer`, dropped again when the session ends.
+// MCP requests pass bearer-token authentication and the per-client rate limit first.
+export const startHttpServer = ({ port, createServer, version }) => {
+  const access = createAccessControl(loadAccessConfig());
+
+  // sessionId -> { type, transport, server, client, createdAt, lastSeenAt }
+  const sessions = new Map();
+
+  // The transport closes when the SSE stream drops or the client sends DELETE; the
+  // server's own close handling runs after ours, so only the map needs tidying here
+  const openSession = async (type, transport) => {
+    const server = createServer();
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.error(`🔌 ${type} session ${transport.sessionId} closed (${sessions.size} active)`);
+      }
+    };
+    await server.connect(transport);
+    return server;
+  };
+
+  const registerSession = (type, sessionId, transport, server, client) => {
+    sessions.set(sessionId, { type, transport, server, client: client.name, createdAt: new Date().toISOString(), lastSeenAt: Date.now() });
+    access.recordSession(client);
+    console.error(`🔌 ${type} session ${sessionId} opened for ${client.name} (${sessions.size} active)`);
+  };
+
+  // Sessions are bound to the client that opened them
+  const findSession = (res, type, sessionId, client) => {
+    const session = sessions.get(sessionId);
+    if (!session || session.type !== type) {
+      sendRpcError(res, 404, "Session not found");
+      return null;
+    }
+    if (session.client !== client.name) {
+      sendRpcError(res, 403, "Session belongs to another client");
+      return null;
+    }
+    return session;
+  };
+
+  const sweepIdleSessions = () => {
+    const cutoff = Date.now() - getSessionIdleMs();
+    sessions.forEach((session, sessionId) => {
+      if (session.type === "streamableHttp" && session.lastSeenAt < cutoff) {
+        console.error(`⌛ Closing idle session ${sessionId}`);
+        session.transport.close().catch(() => {});
+      }
+    });
+  };
+  setInterval(sweepIdleSessions, 60 * 1000).unref();
+
+  const countSessions = () => {
+    const counts = { streamableHttp: 0, sse: 0 };
+    sessions.forEach(session => counts[session.type]++);
+    return { active: sessions.size, ...counts };
+  };
+
+  const handleStreamableHttp = async (req, res, client) => {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = findSession(res, "streamableHttp", sessionId, client);
+      if (!session) {
+        return;
+      }
+      session.lastSeenAt = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    // Without a session id only an initialize request is valid: it starts a new session
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      sendRpcError(res, 400, "Bad Request: no valid session ID provided");
+      return;
+    }
+
+    // The session id only exists once the initialize request has been handled
+    let server;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => registerSession("streamableHttp", id, transport, server, client)
+    });
+    server = await openSession("streamableHttp", transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSseConnect = async (req, res, client) => {
+    const transport = new SSEServerTransport("/messages", res);
+    const server = await openSession("sse", transport);
+    registerSession("sse", transport.sessionId, transport, server, client);
+  };
+
+  const handleSseMessage = async (req, res, client, searchParams) => {
+    const session = findSession(res, "sse", searchParams.get("sessionId"), client);
+    if (!session) {
+      return;
+    }
+    session.lastSeenAt = Date.now();
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+
+  // Returns the authenticated client, or null once a 401 or 429 has been sent
+  const admit = (req, res) => {
+    const client = access.authenticate(req);
+    if (!client) {
+      res.setHeader("WWW-Authenticate", "Bearer realm=\"jina-mcp-tools\"");
+      sendRpcError(res, 401, "Unauthorized: a valid bearer token is required");
+      return null;
+    }
+
+    const retryAfterMs = access.consume(client);
+    if (retryAfterMs > 0) {
+      res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+      sendRpcError(res, 429, `Rate limit of ${client.rateLimitPerMinute} requests per minute exceeded`);
+      return null;
+    }
+
+    // Tool handlers see the client as `extra.authInfo`
+    req.auth = { token: client.token, clientId: client.name, scopes: [] };
+    return client;
+  };
+
+  const getAdminReport = () => ({
+    ...access.getUsageReport(),
+    jina: getUsageTotals(),
+    sessions: [...sessions].map(([sessionId, { type, server, client, createdAt, lastSeenAt }]) => {
+      const { tokens, requests, tools } = getSessionUsage(server) || { tokens: 0, requests: 0, tools: {} };
+      return {
+        sessionId,
+        type,
+        client,
+        createdAt,
+        lastSeenAt: new Date(lastSeenAt).toISOString(),
+        jina: { tokens, requests, tools }
+      };
+    })
+  });
+
+  const httpServer = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+
+    try {
+      if (access.applyCors(req, res)) {
+        return;
+      }
+
+      if (pathname === "/health") {
+        sendJson(res, 200, { status: "healthy", version, auth: access.authEnabled ? "bearer" : "none", sessions: countSessions() });
+        return;
+      }
+
+      if (pathname === "/admin/usage" && req.method === "GET") {
+        if (access.isAdmin(req)) {
+          sendJson(res, 200, getAdminReport());
+        } else {
+          res.setHeader("WWW-Authenticate", "Bearer realm=\"jina-mcp-tools admin\"");
+          sendJson(res, 401, { error: "Unauthorized: MCP_ADMIN_TOKEN is required" });
+        }
+        return;
+      }
+
+      let client = null;
+      if (MCP_PATHS.has(pathname)) {
+        client = admit(req, res);
+        if (!client) {
+          return;
+        }
+      }
+
+      if (pathname === "/mcp" && ["GET", "POST", "DELETE"].includes(req.method)) {
+        await handleStreamableHttp(req, res, client);
+      } else if (pathname === "/sse" && req.method === "GET") {
+        await handleSseConnect(req, res, client);
+      } else if (pathname === "/messages" && req.method === "POST") {
+        await handleSseMessage(req, res, client, searchParams);
+      } else {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not Found");
+      }
+    } catch (error) {
+      console.error(`❌ ${req.method} ${pathname} failed:`, error.message);
+      if (!res.headersSent) {
+        sendRpcError(res, error instanceof SyntaxError ? 400 : 500, error instanceof SyntaxError ? "Parse error" : error.message);
+      }
+    }
+  });
+
+  // Close every open session, e.g. on shutdown
+  const closeSessions = async () => {
+    await Promise.all([...sessions.values()].map(session => session.transport.close().catch(() => {})));
+  };
+
+  httpServer.listen(port, () => {
+    console.error(`✅ HTTP server listening on port ${port}`);
+    if (!access.authEnabled) {
+      console.error("⚠️  No MCP_AUTH_TOKENS configured: anyone who can reach this port can use the server");
+    }
+    console.error(`🔗 Health check: http://localhost:${port}/health`);
+    console.error(`🔗 MCP endpoint (Streamable HTTP): http://localhost:${port}/mcp`);
+    console.error(`🔗 MCP endpoint (legacy SSE): http://localhost:${port}/sse`);
+  });
+
+  return { httpServer, closeSessions };
+};
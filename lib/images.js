@@ -0,0 +1,78 @@
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { withRetry } from "./retry.js";
+import { USER_AGENT } from "./jina-client.js";
+import { writeFileAtomic } from "./checkpoint.js";
+import { resolveSandboxPath } from "./sandbox.js";
+
+// Reader formats that answer with an image URL instead of content, and the field holding it
+export const IMAGE_FORMATS = {
+  Screenshot: "screenshotUrl",
+  Pageshot: "pageshotUrl"
+};
+
+export const isImageFormat = (format) => Object.hasOwn(IMAGE_FORMATS, format);
+
+const MIME_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/webp": ".webp",
+  "image/gif": ".gif"
+};
+
+export const getImageExtension = (mimeType) => MIME_EXTENSIONS[mimeType] || ".png";
+
+// Identify the image type from its magic bytes when the Content-Type header is missing or generic
+const sniffMimeType = (data) => {
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (data.subarray(0, 4).toString("latin1") === "RIFF" && data.subarray(8, 12).toString("latin1") === "WEBP") {
+    return "image/webp";
+  }
+  if (data.subarray(0, 4).toString("latin1") === "GIF8") {
+    return "image/gif";
+  }
+  return null;
+};
+
+// Download the screenshot or pageshot a Reader response points to.
+// Returns { url, data (Buffer), mimeType }; transient failures are retried like API calls.
+export const fetchPageImage = async (page, format, { onRetry, signal } = {}) => {
+  const imageUrl = page && page[IMAGE_FORMATS[format]];
+  if (!imageUrl) {
+    throw new Error(`Jina Reader returned no ${format} URL`);
+  }
+
+  return withRetry(async (signal) => {
+    const response = await fetch(imageUrl, { signal, headers: { "User-Agent": USER_AGENT } });
+
+    if (!response.ok) {
+      const error = new Error(`Could not download ${format} ${imageUrl} (${response.status})`);
+      error.status = response.status;
+      error.body = `could not download ${format} ${imageUrl}`;
+      throw error;
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    const contentType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    const mimeType = MIME_EXTENSIONS[contentType] ? contentType : sniffMimeType(data);
+    if (!mimeType) {
+      throw new Error(`${format} ${imageUrl} is not a PNG, JPEG, WebP or GIF image`);
+    }
+
+    return { url: imageUrl, data, mimeType };
+  }, { label: `${format} download`, onRetry, signal });
+};
+
+// Write a downloaded image inside the sandbox, returning the real path it was written to
+export const saveImage = (file, image) => {
+  const target = resolveSandboxPath(file, { write: true });
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  writeFileAtomic(target, image.data);
+  return target;
+};
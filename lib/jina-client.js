@@ -0,0 +1,263 @@
+import fetch from "node-fetch";
+import { withRetry, parseRetryAfter, getRetryPolicy } from "./retry.js";
+import { withCache } from "./cache.js";
+import { getReaderControlHeaders } from "./reader-options.js";
+import { recordJinaUsage, getReportedTokens, checkTokenBudget } from "./usage.js";
+
+// Default Jina AI endpoints, each of which can be overridden through the environment
+// (e.g. to point the server at a local stand-in for testing)
+const DEFAULT_ENDPOINTS = {
+  reader: "https://r.jina.ai/",
+  search: "https://s.jina.ai/",
+  grounding: "https://g.jina.ai/",
+  embeddings: "https://api.jina.ai/v1/embeddings",
+  rerank: "https://api.jina.ai/v1/rerank"
+};
+
+export const DEFAULT_EMBEDDING_MODEL = "jina-embeddings-v3";
+export const DEFAULT_RERANK_MODEL = "jina-reranker-v2-base-multilingual";
+
+// Seconds allowed on top of a reader `timeout` control for the reader to respond
+const READER_TIMEOUT_MARGIN_S = 15;
+
+export const USER_AGENT = "JinaMCP/1.1.0";
+
+// Get Jina API key from environment (optional)
+export const getJinaApiKey = () => {
+  return process.env.JINA_API_KEY || null;
+};
+
+// Resolve the base URLs for every Jina service
+export const getEndpoints = () => {
+  return {
+    reader: process.env.JINA_READER_URL || DEFAULT_ENDPOINTS.reader,
+    search: process.env.JINA_SEARCH_URL || DEFAULT_ENDPOINTS.search,
+    grounding: process.env.JINA_GROUNDING_URL || DEFAULT_ENDPOINTS.grounding,
+    embeddings: process.env.JINA_EMBEDDINGS_URL || DEFAULT_ENDPOINTS.embeddings,
+    rerank: process.env.JINA_RERANK_URL || DEFAULT_ENDPOINTS.rerank
+  };
+};
+
+// Helper to create headers with or without API key
+export const createHeaders = (baseHeaders = {}) => {
+  const headers = { "User-Agent": USER_AGENT, ...baseHeaders };
+  const apiKey = getJinaApiKey();
+
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+
+  return headers;
+};
+
+// Error raised for any non-OK response from a Jina endpoint
+export class JinaApiError extends Error {
+  constructor(service, status, body, retryAfterMs = null) {
+    super(`Jina ${service} API error (${status}): ${body}`);
+    this.name = "JinaApiError";
+    this.service = service;
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Send a request and parse the JSON envelope Jina wraps every response in.
+// Rate limits, transient server errors and timeouts are retried with backoff;
+// `onRetry` is called before each retry so callers can count them, and aborting `signal` cancels the request.
+// `timeoutMs` raises the per-attempt timeout for requests known to take longer than usual.
+// The tokens each response reports are counted towards the calling tool and session (see usage.js),
+// and no request is sent once that session has spent its token budget.
+// Resolves to `{ status, data }`: the HTTP status of the response and the parsed envelope.
+const sendRequest = async (service, endpoint, options, { onRetry, signal, timeoutMs } = {}) => {
+  checkTokenBudget();
+  const policy = getRetryPolicy();
+  if (timeoutMs > policy.timeoutMs) {
+    policy.timeoutMs = timeoutMs;
+  }
+
+  const { status, data } = await withRetry(async (signal) => {
+    const response = await fetch(endpoint, { ...options, signal });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+      throw new JinaApiError(service, response.status, errorText, retryAfterMs);
+    }
+
+    return { status: response.status, data: await response.json() };
+  }, { policy, label: `Jina ${service} API request`, onRetry, signal });
+
+  recordJinaUsage(getReportedTokens(data));
+  return { status, data };
+};
+
+// Send a request and return just the parsed envelope
+const requestJson = async (service, endpoint, options, requestOptions) => {
+  const { data } = await sendRequest(service, endpoint, options, requestOptions);
+  return data;
+};
+
+// Read a web page through the Jina Reader (r.jina.ai), resolving to `{ page, httpStatus }`, where
+// `httpStatus` is the `code` of the reader's envelope, or the response status when it has none.
+// `controls` are the optional reader controls (selectors, cookies, proxy...) from reader-options.js.
+// Results are cached by URL, format options and controls unless `requestOptions.noCache` is set,
+// which also asks the reader for a fresh copy rather than its own cached one.
+export const readPage = async (url, { format = "Markdown", withLinks = false, withImages = false, controls = {} } = {}, requestOptions = {}) => {
+  const endpoint = getEndpoints().reader;
+  // Controls only join the key when set, so entries cached without them stay valid
+  const cacheKey = ["reader-page", endpoint, url, format, withLinks, withImages];
+  if (Object.keys(controls).length > 0) {
+    cacheKey.push(controls);
+  }
+
+  return withCache(cacheKey, requestOptions, async () => {
+    const headers = createHeaders({
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+      "X-With-Links-Summary": withLinks ? "true" : "false",
+      "X-With-Images-Summary": withImages ? "true" : "false",
+      "X-Return-Format": format.toLowerCase(),
+      ...getReaderControlHeaders(controls)
+    });
+    if (requestOptions.noCache) {
+      headers["X-No-Cache"] = "true";
+    }
+
+    // Leave the reader its whole page-load timeout before giving up on the request
+    const timeoutMs = controls.timeout ? (controls.timeout + READER_TIMEOUT_MARGIN_S) * 1000 : undefined;
+    const { status, data } = await sendRequest("Reader", endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ url })
+    }, { ...requestOptions, timeoutMs });
+
+    return { page: data.data || data, httpStatus: Number(data.code) || status };
+  });
+};
+
+// Read a web page through the Jina Reader and return just the page (see readPage)
+export const readUrl = async (url, options, requestOptions) => {
+  const { page } = await readPage(url, options, requestOptions);
+  return page;
+};
+
+// Extract the text body of a reader result, falling back to the raw payload
+// for formats such as Screenshot that carry no content field
+export const getPageContent = (page) => {
+  return page && page.content ? page.content : JSON.stringify(page, null, 2);
+};
+
+// Search the web through Jina Search (s.jina.ai).
+// The full result list is cached per query, so different counts share one entry.
+export const search = async (query, { count, site } = {}, requestOptions = {}) => {
+  const endpoint = getEndpoints().search;
+  const q = site ? `site:${site} ${query}` : query;
+
+  let results = await withCache(["search", endpoint, q], requestOptions, async () => {
+    const searchUrl = new URL(endpoint);
+    searchUrl.searchParams.set("q", q);
+
+    const headers = createHeaders({
+      "Accept": "application/json",
+      "X-Respond-With": "no-content"
+    });
+
+    const data = await requestJson("Search", searchUrl.toString(), {
+      method: "GET",
+      headers
+    }, requestOptions);
+
+    return Array.isArray(data.data) ? data.data : [];
+  });
+
+  // Limit to the requested count
+  if (count && count > 0 && results.length > count) {
+    results = results.slice(0, count);
+  }
+
+  return results;
+};
+
+// Check a statement through Jina Grounding (g.jina.ai)
+export const factCheck = async (statement, { deepdive = false } = {}, requestOptions = {}) => {
+  const headers = createHeaders({
+    "Content-Type": "application/json",
+    "Accept": "application/json"
+  });
+
+  const data = await requestJson("Fact-Check", getEndpoints().grounding, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ statement, deepdive })
+  }, requestOptions);
+
+  return data.data || data;
+};
+
+// The embeddings and reranker APIs have no anonymous tier
+const requireApiKey = (service) => {
+  if (!getJinaApiKey()) {
+    throw new Error(`The Jina ${service} API requires an API key; set JINA_API_KEY`);
+  }
+};
+
+// Embed `texts` with Jina Embeddings. `task` tunes the vectors for their use
+// (e.g. "retrieval.passage" for documents and "retrieval.query" for questions).
+// Returns { model, embeddings (in input order), tokens }.
+export const embed = async (texts, { model = DEFAULT_EMBEDDING_MODEL, task, dimensions } = {}, requestOptions = {}) => {
+  requireApiKey("Embeddings");
+
+  const headers = createHeaders({
+    "Content-Type": "application/json",
+    "Accept": "application/json"
+  });
+
+  const body = { model, input: texts };
+  if (task) {
+    body.task = task;
+  }
+  if (dimensions) {
+    body.dimensions = dimensions;
+  }
+
+  const data = await requestJson("Embeddings", getEndpoints().embeddings, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body)
+  }, requestOptions);
+
+  const items = [...(data.data || [])].sort((a, b) => a.index - b.index);
+  return {
+    model: data.model || model,
+    embeddings: items.map(item => item.embedding),
+    tokens: data.usage ? data.usage.total_tokens : null
+  };
+};
+
+// Order `documents` by relevance to `query` with the Jina Reranker.
+// Returns { model, results: [{ index, score, document }] (best first), tokens }.
+export const rerank = async (query, documents, { model = DEFAULT_RERANK_MODEL, topN } = {}, requestOptions = {}) => {
+  requireApiKey("Reranker");
+
+  const headers = createHeaders({
+    "Content-Type": "application/json",
+    "Accept": "application/json"
+  });
+
+  const data = await requestJson("Reranker", getEndpoints().rerank, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ model, query, documents, top_n: topN || documents.length, return_documents: false })
+  }, requestOptions);
+
+  return {
+    model: data.model || model,
+    results: (data.results || []).map(result => ({
+      index: result.index,
+      score: result.relevance_score,
+      document: documents[result.index]
+    })),
+    tokens: data.usage ? data.usage.total_tokens : null
+  };
+};
@@ -0,0 +1,296 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { writeFileAtomic } from "./checkpoint.js";
+import { runWithUsage } from "./usage.js";
+
+export const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled", "interrupted"];
+const ACTIVE_STATUSES = new Set(["queued", "running"]);
+const RESUMABLE_STATUSES = new Set(["failed", "cancelled", "interrupted"]);
+
+// A running job writes its progress to disk at most this often
+const PROGRESS_SAVE_INTERVAL_MS = 1000;
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Job state lives in JINA_JOBS_DIR (one JSON file per job) so it survives a restart.
+// Like the cache directory it is chosen by whoever runs the server, not by tool arguments.
+export const getJobsConfig = () => {
+  return {
+    dir: path.resolve(process.env.JINA_JOBS_DIR || path.join(os.homedir(), ".jina-mcp", "jobs")),
+    concurrency: readPositiveInt(process.env.JINA_JOB_CONCURRENCY, 1)
+  };
+};
+
+// Tools that can run as a job: name -> { run(server, args, { signal, reportProgress }), resume(args), secrets }
+const runners = new Map();
+
+// Let `tool` run in the background. `run` does the tool's work and returns its result (or throws);
+// `resume` turns the arguments of an unfinished job into those that pick up where it stopped.
+// `secrets` names arguments (e.g. credentials) that are kept in memory only, never in the job file.
+export const registerJobRunner = (tool, run, { resume = (args) => args, secrets = [] } = {}) => {
+  runners.set(tool, { run, resume, secrets });
+};
+
+// This server process, as recorded in the jobs it holds (queued or running) so that other
+// processes sharing JINA_JOBS_DIR leave them alone
+const THIS_PROCESS = { pid: process.pid, hostname: os.hostname() };
+
+// id -> secret arguments of a job, for as long as this process runs
+const secretArgs = new Map();
+
+// id -> job, loaded from disk on first use
+let jobs = null;
+// id -> AbortController of a running job
+const controllers = new Map();
+// Jobs waiting for a free slot, with the server whose session submitted them
+const queue = [];
+let runningCount = 0;
+
+const getJobPath = (id) => path.join(getJobsConfig().dir, `${id}.json`);
+
+const saveJob = (job) => {
+  job.updatedAt = new Date().toISOString();
+  try {
+    fs.mkdirSync(getJobsConfig().dir, { recursive: true });
+    writeFileAtomic(getJobPath(job.id), JSON.stringify(job, null, 2));
+  } catch (error) {
+    // The job keeps running; only its record on disk falls behind
+    console.error(`Could not save job ${job.id}: ${error.message}`);
+  }
+};
+
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === "EPERM";
+  }
+};
+
+const isHeldHere = (job) => Boolean(job.process) && job.process.pid === THIS_PROCESS.pid && job.process.hostname === THIS_PROCESS.hostname;
+
+// Whether another live server process holds `job`. A process on another host cannot be checked,
+// so its jobs are left to it.
+const isHeldElsewhere = (job) => {
+  if (!job.process || isHeldHere(job)) {
+    return false;
+  }
+  return job.process.hostname !== THIS_PROCESS.hostname || isProcessAlive(job.process.pid);
+};
+
+// Read the job files, keeping the jobs this process holds as they are in memory. Files are read
+// again on every use, so jobs that other processes queue, run or finish show up as they change.
+// A queued or running job whose process is gone (this server before a restart, or another one
+// that stopped) is marked interrupted.
+const loadJobs = () => {
+  jobs = jobs || new Map();
+  const { dir } = getJobsConfig();
+  if (!fs.existsSync(dir)) {
+    return jobs;
+  }
+
+  for (const name of fs.readdirSync(dir).filter(name => name.endsWith(".json"))) {
+    const known = jobs.get(path.basename(name, ".json"));
+    if (known && isHeldHere(known)) {
+      continue;
+    }
+
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+      if (ACTIVE_STATUSES.has(job.status) && !isHeldElsewhere(job)) {
+        job.status = "interrupted";
+        job.error = "The server stopped before the job finished";
+        job.process = null;
+        saveJob(job);
+      }
+      jobs.set(job.id, job);
+    } catch {
+      // Not a job file we can read; leave it alone
+    }
+  }
+
+  return jobs;
+};
+
+// Jobs belong to the client that submitted them (the token name in HTTP mode, nobody in particular over stdio)
+export const getJobOwner = (extra) => (extra && extra.authInfo ? extra.authInfo.clientId : null);
+
+const runJob = async (job, server) => {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  runningCount++;
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  job.finishedAt = null;
+  job.progress = null;
+  saveJob(job);
+
+  let lastSavedAt = Date.now();
+  const reportProgress = (progress, total, message) => {
+    job.progress = { completed: progress, total, message };
+    if (Date.now() - lastSavedAt >= PROGRESS_SAVE_INTERVAL_MS) {
+      lastSavedAt = Date.now();
+      saveJob(job);
+    }
+  };
+
+  try {
+    // Tokens the job spends count towards the session that queued it
+    const args = { ...job.args, ...secretArgs.get(job.id) };
+    const result = await runWithUsage(server, job.tool, () => runners.get(job.tool).run(server, args, { signal: controller.signal, reportProgress }));
+    job.status = controller.signal.aborted ? "cancelled" : "completed";
+    job.result = result.content;
+  } catch (error) {
+    job.status = controller.signal.aborted ? "cancelled" : "failed";
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    job.process = null;
+    controllers.delete(job.id);
+    runningCount--;
+    saveJob(job);
+    startQueuedJobs();
+  }
+};
+
+const startQueuedJobs = () => {
+  while (runningCount < getJobsConfig().concurrency && queue.length > 0) {
+    const { id, server } = queue.shift();
+    const job = loadJobs().get(id);
+    // Cancelled while it waited
+    if (job && job.status === "queued") {
+      runJob(job, server);
+    }
+  }
+};
+
+const enqueue = (job, server) => {
+  job.process = THIS_PROCESS;
+  job.status = "queued";
+  job.progress = null;
+  job.result = null;
+  job.error = null;
+  saveJob(job);
+  queue.push({ id: job.id, server });
+  startQueuedJobs();
+};
+
+// Queue a run of `tool` with `args` and return the job straight away
+export const submitJob = (server, { tool, args, owner = null }) => {
+  if (!runners.has(tool)) {
+    throw new Error(`${tool} cannot run as a background job`);
+  }
+
+  // Secret arguments stay out of the job file; it only lists their names
+  const secrets = runners.get(tool).secrets.filter(name => args[name] !== undefined);
+  const storedArgs = { ...args };
+  for (const name of secrets) {
+    delete storedArgs[name];
+  }
+
+  const job = {
+    id: randomUUID().slice(0, 8),
+    tool,
+    args: storedArgs,
+    secretArgs: secrets,
+    owner,
+    process: THIS_PROCESS,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    runs: 1,
+    progress: null,
+    result: null,
+    error: null
+  };
+  if (secrets.length > 0) {
+    secretArgs.set(job.id, Object.fromEntries(secrets.map(name => [name, args[name]])));
+  }
+  loadJobs().set(job.id, job);
+  enqueue(job, server);
+  return job;
+};
+
+// Look up a job; other clients' jobs are reported as missing
+export const getJob = (id, owner = null) => {
+  const job = loadJobs().get(id);
+  if (!job || job.owner !== owner) {
+    throw new Error(`No job with id ${id}`);
+  }
+  return job;
+};
+
+// Jobs of `owner`, newest first, optionally only those with `status`
+export const listJobs = (owner = null, { status } = {}) => {
+  return [...loadJobs().values()]
+    .filter(job => job.owner === owner && (!status || job.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Refuse to act on a job another server process is queuing or running
+const assertNotHeldElsewhere = (job) => {
+  if (isHeldElsewhere(job)) {
+    throw new Error(`Job ${job.id} is ${job.status} in another server process (pid ${job.process.pid} on ${job.process.hostname}); manage it from there`);
+  }
+};
+
+// Cancel a queued job, or abort a running one; the running job keeps what it finished
+export const cancelJob = (id, owner = null) => {
+  const job = getJob(id, owner);
+  assertNotHeldElsewhere(job);
+  if (job.status === "queued") {
+    job.status = "cancelled";
+    job.finishedAt = new Date().toISOString();
+    job.process = null;
+    saveJob(job);
+  } else if (job.status === "running") {
+    controllers.get(job.id).abort();
+  } else {
+    throw new Error(`Job ${id} is not queued or running (${job.status})`);
+  }
+  return job;
+};
+
+// Secret arguments a job was started with that this process no longer holds, e.g. after a restart
+export const getMissingSecrets = (job) => {
+  const held = secretArgs.get(job.id) || {};
+  return (job.secretArgs || []).filter(name => held[name] === undefined);
+};
+
+// Queue an interrupted, cancelled or failed job again, continuing from what it finished.
+// `secrets` passes the secret arguments again when the job's copy was lost with a restart.
+export const resumeJob = (server, id, owner = null, secrets = {}) => {
+  const job = getJob(id, owner);
+  assertNotHeldElsewhere(job);
+  if (!RESUMABLE_STATUSES.has(job.status)) {
+    throw new Error(`Job ${id} cannot be resumed (${job.status})`);
+  }
+  if (!runners.has(job.tool)) {
+    throw new Error(`${job.tool} cannot run as a background job`);
+  }
+
+  const supplied = Object.fromEntries((job.secretArgs || [])
+    .filter(name => secrets[name] !== undefined)
+    .map(name => [name, secrets[name]]));
+  if (Object.keys(supplied).length > 0) {
+    secretArgs.set(job.id, { ...secretArgs.get(job.id), ...supplied });
+  }
+  const missing = getMissingSecrets(job);
+  if (missing.length > 0) {
+    throw new Error(`Job ${id} was started with ${missing.join(" and ")}, which are not kept on disk; pass them to jina_job_resume again`);
+  }
+
+  job.args = runners.get(job.tool).resume(job.args);
+  job.runs = (job.runs || 1) + 1;
+  enqueue(job, server);
+  return job;
+};
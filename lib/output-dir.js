@@ -0,0 +1,163 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getPageContent } from "./jina-client.js";
+import { writeFileAtomic } from "./checkpoint.js";
+import { resolveSandboxPath } from "./sandbox.js";
+
+const INDEX_VERSION = 1;
+const MAX_SLUG_LENGTH = 80;
+
+const FORMAT_EXTENSIONS = {
+  HTML: ".html",
+  Text: ".txt"
+};
+
+export const getFormatExtension = (format) => FORMAT_EXTENSIONS[format] || ".md";
+
+// Stable, readable file name for a URL: a slug of host and path plus a short hash of
+// the full URL, so the same URL always maps to the same file and distinct URLs never collide
+export const getUrlSlug = (url) => {
+  let readable = url;
+  try {
+    const parsed = new URL(url);
+    readable = `${parsed.hostname}${parsed.pathname}`;
+  } catch {
+    // Not a parseable URL; slug the raw string
+  }
+
+  const slug = readable
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+  const hash = crypto.createHash("sha1").update(url).digest("hex").slice(0, 8);
+
+  return `${slug || "page"}-${hash}`;
+};
+
+// YAML front matter; values are JSON-encoded, which is valid double-quoted YAML
+const formatFrontMatter = (fields) => {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === "string" ? JSON.stringify(value) : value}`);
+  return `---\n${lines.join("\n")}\n---\n\n`;
+};
+
+const loadIndex = (indexPath) => {
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    return index.version === INDEX_VERSION ? index : null;
+  } catch {
+    return null;
+  }
+};
+
+// Open a per-URL output directory for a batch run. It mirrors the checkpoint interface:
+// index.json is rewritten as each page finishes, so `resume` can skip pages already on disk.
+export const openOutputDir = (requestedOutputDir, urls, options, { resume = false } = {}) => {
+  const outputDir = resolveSandboxPath(requestedOutputDir, { write: true });
+  const indexPath = resolveSandboxPath(path.join(outputDir, "index.json"), { write: true });
+  const extension = getFormatExtension(options.format);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const previous = resume ? loadIndex(indexPath) : null;
+  if (previous && JSON.stringify(previous.options) !== JSON.stringify(options)) {
+    throw new Error(`Cannot resume: ${indexPath} was created with different options (${JSON.stringify(previous.options)})`);
+  }
+
+  const completed = new Map();
+  if (previous) {
+    previous.pages
+      // Only plain file names are trusted from a previous index, never paths
+      .filter(page => page.status === "ok" && page.file === path.basename(page.file))
+      .filter(page => fs.existsSync(path.join(outputDir, page.file)))
+      .forEach(page => completed.set(page.url, page));
+  }
+
+  const createPendingPage = (url) => {
+    return {
+      url,
+      file: `${getUrlSlug(url)}${extension}`,
+      title: null,
+      status: "pending",
+      error: null,
+      fetchedAt: null,
+      retries: 0,
+      durationMs: null
+    };
+  };
+
+  const index = {
+    version: INDEX_VERSION,
+    options,
+    completed: false,
+    createdAt: previous ? previous.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    pages: urls.map((url) => {
+      const done = completed.get(url);
+      return done ? { ...done, resumed: true } : createPendingPage(url);
+    })
+  };
+
+  const save = () => {
+    index.updatedAt = new Date().toISOString();
+    writeFileAtomic(indexPath, JSON.stringify(index, null, 2));
+  };
+
+  save();
+
+  return {
+    indexPath,
+
+    // Indexes of the URLs that still need to be fetched
+    pendingIndexes: () => index.pages
+      .map((page, position) => (page.status === "ok" ? null : position))
+      .filter(position => position !== null),
+
+    resumedCount: () => index.pages.filter(page => page.resumed).length,
+
+    // Add URLs found while the run goes on (e.g. by a crawl) as pending pages; returns the position of the first
+    add: (moreUrls) => {
+      const first = index.pages.length;
+      index.pages.push(...moreUrls.map(createPendingPage));
+      save();
+      return first;
+    },
+
+    // Write one page file, front matter first, as soon as its URL finishes
+    record: (position, { ok, page, error, retries = 0, durationMs = null }) => {
+      const entry = index.pages[position];
+      entry.status = ok ? "ok" : "error";
+      entry.title = ok && page.title ? page.title : null;
+      entry.error = ok ? null : error;
+      entry.fetchedAt = new Date().toISOString();
+      entry.retries = retries;
+      entry.durationMs = durationMs;
+      entry.resumed = false;
+      if (ok && page.imageFile) {
+        entry.image = page.imageFile;
+      }
+
+      const frontMatter = formatFrontMatter({
+        url: entry.url,
+        title: entry.title,
+        fetchedAt: entry.fetchedAt,
+        status: entry.status,
+        error: entry.error
+      });
+      writeFileAtomic(path.join(outputDir, entry.file), frontMatter + (ok ? getPageContent(page) : ""));
+
+      save();
+    },
+
+    // A cancelled run leaves pending pages behind and stays incomplete
+    finalize: () => {
+      index.completed = index.pages.every(page => page.status !== "pending");
+      save();
+      return index.pages;
+    }
+  };
+};
@@ -0,0 +1,21 @@
+// Report the progress of a tool call as MCP progress notifications.
+// Returns `report(progress, total, message)`, which does nothing unless the client sent a
+// progress token with the request; notification failures never affect the tool.
+export const createProgressReporter = (extra) => {
+  const progressToken = extra && extra._meta ? extra._meta.progressToken : undefined;
+  if (progressToken === undefined || !extra.sendNotification) {
+    return () => {};
+  }
+
+  return (progress, total, message) => {
+    extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress, total, message }
+    }).catch(() => {});
+  };
+};
+
+// A cancelled call gets no response, so what it finished is logged for the operator
+export const logCancellation = (tool, summary) => {
+  console.error(`⏹️  ${tool} cancelled: ${summary}`);
+};
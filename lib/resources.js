@@ -0,0 +1,186 @@
+import { randomUUID } from "crypto";
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { getPageContent } from "./jina-client.js";
+import { readSandboxedFile } from "./sandbox.js";
+
+const PAGE_TEMPLATE = "jina://page/{url}";
+const BATCH_TEMPLATE = "jina://batch/{id}";
+const MAX_BATCHES = 50;
+
+const getMaxPages = () => {
+  const parsed = Number(process.env.JINA_RESOURCE_MAX_PAGES);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 50;
+};
+
+export const getPageUri = (url) => `jina://page/${encodeURIComponent(url)}`;
+export const getBatchUri = (id) => `jina://batch/${id}`;
+
+const PAGE_MIME_TYPES = {
+  HTML: "text/html",
+  Text: "text/plain"
+};
+
+const BATCH_MIME_TYPES = {
+  text: "text/markdown",
+  markdown: "text/markdown",
+  json: "application/json",
+  jsonl: "application/x-ndjson"
+};
+
+// Stores are per server: in HTTP mode every session only sees what it fetched itself
+const stores = new WeakMap();
+
+// Register the page and batch resource templates on `server` and start remembering what its tools fetch.
+// Clients are told when the list changes, and when a page they subscribed to is read again.
+export const registerResources = (server) => {
+  // url -> { uri, url, title, format, mimeType, text | blob, fetchedAt }, least recently read first
+  const pages = new Map();
+  // id -> { uri, id, tool, title, path, mimeType, summary, createdAt }
+  const batches = new Map();
+  const subscriptions = new Set();
+
+  const notifyUpdated = (uri) => {
+    if (subscriptions.has(uri) && server.isConnected()) {
+      server.server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  };
+
+  stores.set(server, {
+    addPage: (entry) => {
+      const existed = pages.delete(entry.url);
+      pages.set(entry.url, entry);
+
+      let evicted = false;
+      while (pages.size > getMaxPages()) {
+        pages.delete(pages.keys().next().value);
+        evicted = true;
+      }
+
+      if (!existed || evicted) {
+        server.sendResourceListChanged();
+      }
+      if (existed) {
+        notifyUpdated(entry.uri);
+      }
+    },
+
+    getPageText: (url, format) => {
+      const page = pages.get(url);
+      return page && page.format === format && page.text !== undefined ? page.text : null;
+    },
+
+    addBatch: (entry) => {
+      batches.set(entry.id, entry);
+      while (batches.size > MAX_BATCHES) {
+        batches.delete(batches.keys().next().value);
+      }
+      server.sendResourceListChanged();
+    }
+  });
+
+  server.resource(
+    "page",
+    new ResourceTemplate(PAGE_TEMPLATE, {
+      list: async () => ({
+        resources: [...pages.values()].reverse().map(page => ({
+          uri: page.uri,
+          name: page.title || page.url,
+          description: `${page.format} of ${page.url}, read ${page.fetchedAt}`,
+          mimeType: page.mimeType
+        }))
+      })
+    }),
+    { description: "A page read earlier in this session through jina_reader or jina_search_and_read", mimeType: "text/markdown" },
+    async (uri, { url }) => {
+      const page = pages.get(decodeURIComponent(url));
+      if (!page) {
+        throw new Error(`No page for ${decodeURIComponent(url)} has been read in this session (or it was evicted)`);
+      }
+      const content = page.blob ? { blob: page.blob } : { text: page.text };
+      return { contents: [{ uri: page.uri, mimeType: page.mimeType, ...content }] };
+    }
+  );
+
+  server.resource(
+    "batch",
+    new ResourceTemplate(BATCH_TEMPLATE, {
+      list: async () => ({
+        resources: [...batches.values()].reverse().map(batch => ({
+          uri: batch.uri,
+          name: batch.title,
+          description: `${batch.summary} (${batch.createdAt})`,
+          mimeType: batch.mimeType
+        }))
+      })
+    }),
+    { description: "Output of a batch run in this session (jina_reader_list, jina_crawl or jina_fact_check_list), read from disk" },
+    async (uri, { id }) => {
+      const batch = batches.get(id);
+      if (!batch) {
+        throw new Error(`No batch ${id} has run in this session`);
+      }
+      return { contents: [{ uri: batch.uri, mimeType: batch.mimeType, text: readSandboxedFile(batch.path) }] };
+    }
+  );
+
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+};
+
+// Remember a page a tool just read and return its resource URI (null when resources are off).
+// Screenshots are kept as the downloaded image.
+export const rememberPage = (server, url, format, page, image = null) => {
+  const store = stores.get(server);
+  if (!store) {
+    return null;
+  }
+
+  const uri = getPageUri(url);
+  store.addPage({
+    uri,
+    url,
+    title: page.title || null,
+    format,
+    mimeType: image ? image.mimeType : PAGE_MIME_TYPES[format] || "text/markdown",
+    ...(image ? { blob: image.data.toString("base64") } : { text: getPageContent(page) }),
+    fetchedAt: new Date().toISOString()
+  });
+  return uri;
+};
+
+// Text of a page this server read earlier in `format`, or null when it is not remembered
+export const recallPage = (server, url, format) => {
+  const store = stores.get(server);
+  return store ? store.getPageText(url, format) : null;
+};
+
+// Remember the output of a batch run and return its resource URI (null when resources are off).
+// `path` is the file served on read: the output file, or index.json of an output directory.
+export const rememberBatch = (server, { tool, title, path, outputFormat = "text", summary }) => {
+  const store = stores.get(server);
+  if (!store) {
+    return null;
+  }
+
+  const id = randomUUID().slice(0, 8);
+  const uri = getBatchUri(id);
+  store.addBatch({
+    uri,
+    id,
+    tool,
+    title,
+    path,
+    mimeType: path.endsWith(".json") ? "application/json" : BATCH_MIME_TYPES[outputFormat],
+    summary,
+    createdAt: new Date().toISOString()
+  });
+  return uri;
+};
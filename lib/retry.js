@@ -0,0 +1,149 @@
+// HTTP statuses worth another attempt: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Wait `ms` milliseconds; an abort of `signal` ends the wait early
+export const sleep = (ms, signal) => new Promise(resolve => {
+  if (signal && signal.aborted) {
+    resolve();
+    return;
+  }
+
+  const done = () => {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", done);
+    }
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  if (signal) {
+    signal.addEventListener("abort", done);
+  }
+});
+
+// Retry policy shared by every Jina call, tunable through the environment
+export const getRetryPolicy = () => {
+  return {
+    maxAttempts: readPositiveInt(process.env.JINA_MAX_ATTEMPTS, 3),
+    timeoutMs: readPositiveInt(process.env.JINA_TIMEOUT_MS, 60000),
+    baseDelayMs: readPositiveInt(process.env.JINA_RETRY_BASE_DELAY_MS, 1000),
+    maxDelayMs: readPositiveInt(process.env.JINA_RETRY_MAX_DELAY_MS, 30000)
+  };
+};
+
+// Error raised when a single attempt exceeds the per-request timeout
+export class RequestTimeoutError extends Error {
+  constructor(timeoutMs, label = "Request") {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = "RequestTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Error raised when the caller aborts a request, e.g. because the client cancelled the tool call
+export class RequestCancelledError extends Error {
+  constructor(label = "Request") {
+    super(`${label} was cancelled`);
+    this.name = "RequestCancelledError";
+  }
+}
+
+export const isCancelled = (error) => error instanceof RequestCancelledError;
+
+// Convert a Retry-After header (delta seconds or HTTP date) to milliseconds
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const isRetryable = (error) => {
+  if (error instanceof RequestTimeoutError) {
+    return true;
+  }
+
+  if (error.status) {
+    return RETRYABLE_STATUSES.has(error.status);
+  }
+
+  // node-fetch reports connection failures (ECONNRESET, ENOTFOUND, ...) as system errors
+  return error.name === "FetchError" && error.type === "system";
+};
+
+// Retry-After wait as shown in error messages, in whole seconds
+export const formatRetryAfter = (ms) => `${Math.ceil(ms / 1000)}s`;
+
+// Exponential backoff with jitter, capped at maxDelayMs, and stretched to the full Retry-After
+// the server sent (withRetry gives up rather than wait longer than maxDelayMs for one)
+const getRetryDelay = (attempt, error, policy) => {
+  const exponential = policy.baseDelayMs * 2 ** (attempt - 1);
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  const retryAfterMs = error.retryAfterMs || 0;
+
+  return Math.round(Math.max(Math.min(jittered, policy.maxDelayMs), retryAfterMs));
+};
+
+// Run `attempt` until it succeeds, fails with a non-retryable error or runs out of attempts.
+// Each attempt receives an AbortSignal that fires when the per-request timeout elapses
+// or when the caller's `signal` is aborted; the latter stops retrying with a RequestCancelledError.
+export const withRetry = async (attempt, { policy = getRetryPolicy(), label, onRetry, signal } = {}) => {
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    if (signal && signal.aborted) {
+      throw new RequestCancelledError(label);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+    const cancel = () => controller.abort();
+    if (signal) {
+      signal.addEventListener("abort", cancel);
+    }
+
+    try {
+      return await attempt(controller.signal);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw new RequestCancelledError(label);
+      }
+
+      const failure = controller.signal.aborted ? new RequestTimeoutError(policy.timeoutMs, label) : error;
+
+      if (attemptNumber >= policy.maxAttempts || !isRetryable(failure)) {
+        failure.attempts = attemptNumber;
+        throw failure;
+      }
+
+      // A Retry-After beyond maxDelayMs is passed on to the caller with the wait it asks for
+      if (failure.retryAfterMs > policy.maxDelayMs) {
+        failure.attempts = attemptNumber;
+        failure.message = `${failure.message} (retry after ${formatRetryAfter(failure.retryAfterMs)}, longer than the ${policy.maxDelayMs}ms retry delay limit)`;
+        throw failure;
+      }
+
+      const delayMs = getRetryDelay(attemptNumber, failure, policy);
+      if (onRetry) {
+        onRetry({ attempt: attemptNumber, error: failure, delayMs });
+      }
+
+      await sleep(delayMs, signal);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", cancel);
+      }
+    }
+  }
+};
@@ -0,0 +1,140 @@
+import fs from "fs";
+import path from "path";
+
+// Error raised when a tool asks for a path outside the configured roots
+export class SandboxError extends Error {
+  constructor(message) {
+    super(`Access denied: ${message}`);
+    this.name = "SandboxError";
+  }
+}
+
+const readPositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Resolve symlinks in the existing part of a path; missing trailing segments are kept as-is
+const realpathAllowMissing = (target) => {
+  const missing = [];
+  let current = target;
+
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync(current), ...missing);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+
+      // A dangling symlink would be followed on write, wherever it points
+      let isDanglingLink = false;
+      try {
+        isDanglingLink = fs.lstatSync(current).isSymbolicLink();
+      } catch {
+        // Genuinely missing
+      }
+      if (isDanglingLink) {
+        throw new SandboxError(`${current} is a dangling symbolic link`);
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        throw error;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+};
+
+// Parse JINA_FS_ROOTS: comma-separated directories, each optionally suffixed with :ro or :rw
+const parseRoots = (value) => {
+  return value
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(.*):(ro|rw)$/);
+      const dir = match ? match[1] : entry;
+      return { dir: realpathAllowMissing(path.resolve(dir)), writable: !match || match[2] === "rw" };
+    });
+};
+
+// Without JINA_FS_ROOTS the working directory is the only root, read-write, unless it is the
+// filesystem root: that would allow every path, so no local file is allowed until roots are set
+const getDefaultRoots = () => {
+  const dir = realpathAllowMissing(process.cwd());
+  return path.parse(dir).root === dir ? [] : [{ dir, writable: true }];
+};
+
+// Startup warning for a server that falls back to the default roots, or null when JINA_FS_ROOTS is set
+export const getDefaultRootsWarning = () => {
+  if (process.env.JINA_FS_ROOTS) {
+    return null;
+  }
+  const [root] = getDefaultRoots();
+  return root
+    ? `JINA_FS_ROOTS is not set; tools may read and write files anywhere under the working directory ${root.dir}`
+    : `JINA_FS_ROOTS is not set and the working directory is ${process.cwd()}; tools cannot read or write local files until JINA_FS_ROOTS is set`;
+};
+
+// Filesystem access is limited to JINA_FS_ROOTS (default: the working directory, read-write)
+export const getSandboxConfig = () => {
+  const roots = process.env.JINA_FS_ROOTS ? parseRoots(process.env.JINA_FS_ROOTS) : getDefaultRoots();
+
+  return {
+    roots,
+    maxFileBytes: Math.floor(readPositiveNumber(process.env.JINA_FS_MAX_FILE_MB, 50) * 1024 * 1024)
+  };
+};
+
+const isInside = (child, parent) => {
+  const relative = path.relative(parent, child);
+  return relative === "" || (!relative.startsWith(`..${path.sep}`) && relative !== ".." && !path.isAbsolute(relative));
+};
+
+const describeRoots = (roots) => {
+  if (roots.length === 0) {
+    return "none; set JINA_FS_ROOTS to the directories tools may use";
+  }
+  return roots.map(root => `${root.dir} (${root.writable ? "read-write" : "read-only"})`).join(", ");
+};
+
+// Resolve a tool-supplied path to its real location and check it against the sandbox.
+// Traversal (`..`) and symlinks are resolved first, so neither can escape an allowed root.
+export const resolveSandboxPath = (requestedPath, { write = false } = {}) => {
+  if (typeof requestedPath !== "string" || requestedPath.length === 0 || requestedPath.includes("\0")) {
+    throw new SandboxError("invalid path");
+  }
+
+  const { roots } = getSandboxConfig();
+  const realPath = realpathAllowMissing(path.resolve(process.cwd(), requestedPath));
+
+  // The most specific root decides whether writes are allowed
+  const root = roots
+    .filter(candidate => isInside(realPath, candidate.dir))
+    .sort((a, b) => b.dir.length - a.dir.length)[0];
+
+  if (!root) {
+    throw new SandboxError(`${requestedPath} is outside the allowed directories: ${describeRoots(roots)}`);
+  }
+  if (write && !root.writable) {
+    throw new SandboxError(`${requestedPath} is in read-only directory ${root.dir}`);
+  }
+
+  return realPath;
+};
+
+// Read a file inside the sandbox, refusing anything over the configured size limit
+export const readSandboxedFile = (requestedPath, encoding = "utf8") => {
+  const realPath = resolveSandboxPath(requestedPath);
+  const { maxFileBytes } = getSandboxConfig();
+
+  const { size } = fs.statSync(realPath);
+  if (size > maxFileBytes) {
+    throw new SandboxError(`${requestedPath} is ${size} bytes, over the ${maxFileBytes} byte limit (JINA_FS_MAX_FILE_MB)`);
+  }
+
+  return fs.readFileSync(realPath, encoding);
+};
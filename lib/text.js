@@ -0,0 +1,131 @@
+// Cut `text` to at most `maxChars`, preferring a paragraph, line or sentence boundary
+// in the last fifth of the budget so pages don't end mid-word. Returns { text, truncated }.
+export const truncateText = (text, maxChars) => {
+  if (!maxChars || text.length <= maxChars) {
+    return { text, truncated: false };
+  }
+
+  const head = text.slice(0, maxChars);
+  const floor = Math.floor(maxChars * 0.8);
+  const boundaries = ["\n\n", "\n", ". ", " "];
+
+  for (const boundary of boundaries) {
+    const cut = head.lastIndexOf(boundary);
+    if (cut >= floor) {
+      return { text: head.slice(0, cut + (boundary === ". " ? 1 : 0)).trimEnd(), truncated: true };
+    }
+  }
+
+  return { text: head, truncated: true };
+};
+
+// Token budgets are converted to characters with this rough average for English prose
+export const CHARS_PER_TOKEN = 4;
+
+// Chunk size when chunking is asked for without a budget (about 2000 tokens)
+export const DEFAULT_CHUNK_CHARS = 2000 * CHARS_PER_TOKEN;
+
+// Character budget from the maxChars / maxTokens options; the tighter one wins, null when neither is set
+export const getCharBudget = ({ maxChars, maxTokens } = {}) => {
+  const budgets = [maxChars, maxTokens ? maxTokens * CHARS_PER_TOKEN : null].filter(Boolean);
+  return budgets.length > 0 ? Math.min(...budgets) : null;
+};
+
+// Split Markdown into blocks (paragraphs, lists, code fences, headings), each with the path of
+// headings it sits under. Blank lines inside a code fence do not end the block.
+const splitMarkdownBlocks = (text) => {
+  const blocks = [];
+  const headings = [];
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    if (lines.length > 0) {
+      blocks.push({ text: lines.join("\n"), path: headings.map(heading => heading.title), heading: false });
+      lines = [];
+    }
+  };
+
+  for (const line of text.split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      lines.push(line);
+      continue;
+    }
+    if (inFence) {
+      lines.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, title: heading[2] });
+      blocks.push({ text: line, path: headings.map(entry => entry.title), heading: true });
+    } else if (line.trim() === "") {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return blocks;
+};
+
+// Split Markdown into chunks of at most `maxChars`, breaking on headings and paragraphs.
+// A heading starts a new chunk once the current one is half full, so sections tend to open a chunk,
+// and a heading never ends a chunk without its text; a single block longer than the budget is cut
+// like truncateText does. Returns [{ number, path, text }], `path` being the headings the chunk starts under.
+export const chunkMarkdown = (text, maxChars) => {
+  const chunks = [];
+  let parts = [];
+
+  const getSize = (list) => list.reduce((sum, part) => sum + part.text.length, 0) + Math.max(0, list.length - 1) * 2;
+
+  const flush = () => {
+    // Trailing headings move on with the text they introduce
+    let cut = parts.length;
+    while (cut > 0 && parts[cut - 1].heading) {
+      cut--;
+    }
+    const done = cut > 0 ? parts.slice(0, cut) : parts;
+    parts = cut > 0 ? parts.slice(cut) : [];
+
+    chunks.push({ number: chunks.length + 1, path: done[0].path, text: done.map(part => part.text).join("\n\n") });
+  };
+
+  const add = (part) => {
+    const size = getSize(parts);
+    if (parts.length > 0 && (size + 2 + part.text.length > maxChars || (part.heading && size >= maxChars / 2))) {
+      flush();
+    }
+    parts.push(part);
+  };
+
+  for (const block of splitMarkdownBlocks(text)) {
+    let rest = block.text;
+    // Leave room for headings that may move along with the first piece
+    let reserve = getSize(parts.slice(parts.findLastIndex(part => !part.heading) + 1));
+    while (rest.length > maxChars - reserve) {
+      const { text: head } = truncateText(rest, Math.max(maxChars - reserve - 2, Math.ceil(maxChars / 2)));
+      add({ ...block, text: head });
+      rest = rest.slice(head.length).trimStart();
+      reserve = 0;
+    }
+    if (rest) {
+      add({ ...block, text: rest });
+    }
+  }
+  while (parts.length > 0) {
+    flush();
+  }
+
+  return chunks;
+};
+
+export const formatSectionPath = (path) => path.join(" > ");
@@ -0,0 +1,67 @@
+import { z } from "zod";
+import { getCacheStats, clearCache } from "../cache.js";
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// CACHE TOOL
+export const registerCacheTool = (server) => {
+  server.tool(
+    "jina_cache",
+    "Report statistics for the local reader/search response cache, or clear it",
+    {
+      action: z.enum(["stats", "clear"])
+        .optional()
+        .default("stats")
+        .describe("Show cache statistics or delete every cached response")
+    },
+    async ({ action }) => {
+      try {
+        const before = getCacheStats();
+        if (!before.enabled) {
+          return {
+            content: [{
+              type: "text",
+              text: "Response cache is disabled. Set JINA_CACHE_DIR to enable it."
+            }]
+          };
+        }
+
+        if (action === "clear") {
+          const removed = clearCache();
+          return {
+            content: [{
+              type: "text",
+              text: `Cleared ${removed} cached responses from ${before.dir}`
+            }]
+          };
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text: [
+              `Cache directory: ${before.dir}`,
+              `Entries: ${before.entries}`,
+              `Size: ${formatBytes(before.totalBytes)} of ${formatBytes(before.maxBytes)}`,
+              `TTL: ${before.ttlMs / 1000}s`,
+              `This session: ${before.hits} hits, ${before.misses} misses, ${before.writes} writes, ${before.evictions} evictions`
+            ].join("\n")
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
@@ -0,0 +1,136 @@
+import { z } from "zod";
+import fs from "fs";
+import path from "path";
+import { loadUrls, INPUT_FORMATS } from "../url-input.js";
+import { checkUrls, isLive, CHECK_CATEGORIES } from "../url-checker.js";
+import { formatDuration } from "../batch.js";
+import { resolveSandboxPath } from "../sandbox.js";
+import { createProgressReporter, logCancellation } from "../progress.js";
+
+const formatResult = (result, position) => {
+  const { icon, label } = CHECK_CATEGORIES[result.category];
+  const number = String(position + 1).padStart(3, " ");
+  const detail = result.status ? `Status Code: ${result.status} (${label})` : `${label}: ${result.error}`;
+  const lines = [`[${number}] ${icon} ${result.url} - ${detail}`];
+
+  if (result.redirects.length > 0) {
+    const hops = result.redirects.map(hop => `${hop.status} ${hop.url}`);
+    lines.push(`      ↳ ${[...hops, `${result.status} ${result.finalUrl}`].join(" → ")}`);
+  }
+  return lines.join("\n");
+};
+
+// URL STATUS CHECK TOOL
+export const registerCheckUrlsTool = (server) => {
+  server.tool(
+    "jina_check_urls",
+    "Check the HTTP status of a list of URLs (same inputs as jina_reader_list) to find broken links and redirects before a batch read",
+    {
+      inputFile: z.string()
+        .optional()
+        .describe("Path to the file containing URLs (one per line, or a sitemap, CSV, JSON/JSONL, Markdown or HTML file)"),
+      urls: z.array(z.string())
+        .optional()
+        .describe("Inline list of URLs to check, instead of or in addition to inputFile"),
+      inputFormat: z.enum(INPUT_FORMATS)
+        .optional()
+        .default("auto")
+        .describe("How to parse inputFile; 'auto' detects it from the extension and content"),
+      urlField: z.string()
+        .optional()
+        .default("url")
+        .describe("CSV column or JSON/JSONL property (dotted paths allowed) holding the URL"),
+      baseUrl: z.string()
+        .url()
+        .optional()
+        .describe("Base URL used to resolve relative links in the input"),
+      concurrency: z.number()
+        .int()
+        .min(1)
+        .max(50)
+        .optional()
+        .default(10)
+        .describe("Maximum number of URLs to check in parallel (1-50)"),
+      timeoutMs: z.number()
+        .int()
+        .min(1000)
+        .optional()
+        .default(30000)
+        .describe("Time allowed per URL, including redirects, in milliseconds"),
+      liveOutputFile: z.string()
+        .optional()
+        .describe("Write the live URLs (2xx, after following redirects) to this file, one per line, ready for jina_reader_list")
+    },
+    async ({ inputFile, urls: inlineUrls, inputFormat, urlField, baseUrl, concurrency, timeoutMs, liveOutputFile }, extra) => {
+      try {
+        const { urls } = await loadUrls({ inputFile, urls: inlineUrls, inputFormat, urlField, baseUrl, signal: extra.signal });
+        // Refuse a disallowed output path before spending time on the checks
+        const livePath = liveOutputFile ? resolveSandboxPath(liveOutputFile, { write: true }) : null;
+
+        if (urls.length === 0) {
+          throw new Error("No valid URLs found in the input");
+        }
+
+        const startedAt = Date.now();
+        const reportProgress = createProgressReporter(extra);
+        const allResults = await checkUrls(urls, {
+          concurrency,
+          timeoutMs,
+          signal: extra.signal,
+          onProgress: ({ completed, total, url }) => reportProgress(completed, total, `Checked ${url}`)
+        });
+        const durationMs = Date.now() - startedAt;
+
+        // After a cancellation only the URLs that were checked are reported and written
+        const results = allResults.filter(Boolean);
+        const cancelledCount = allResults.length - results.length;
+
+        const counts = Object.keys(CHECK_CATEGORIES)
+          .map(category => [category, results.filter(result => result.category === category).length])
+          .filter(([, count]) => count > 0)
+          .map(([category, count]) => `${CHECK_CATEGORIES[category].label}: ${count}`);
+
+        const lines = [
+          `Checked ${results.length} URLs in ${formatDuration(durationMs)}`,
+          counts.join(", ")
+        ];
+        if (cancelledCount > 0) {
+          lines.push(`Cancelled: ${cancelledCount} URLs were not checked`);
+        }
+
+        if (livePath) {
+          // Redirected URLs are written as their final destination
+          const liveUrls = [...new Set(results.filter(isLive).map(result => result.finalUrl))];
+          try {
+            fs.mkdirSync(path.dirname(livePath), { recursive: true });
+            fs.writeFileSync(livePath, liveUrls.join("\n") + (liveUrls.length > 0 ? "\n" : ""), "utf8");
+          } catch (writeError) {
+            throw new Error(`Could not write to live output file: ${writeError.message}`);
+          }
+          lines.push(`Live URLs (${liveUrls.length}) saved to: ${liveOutputFile}`);
+        }
+        if (cancelledCount > 0) {
+          logCancellation("jina_check_urls", `${results.length} of ${urls.length} URLs checked${livePath ? `, live URLs so far in ${livePath}` : ""}`);
+        }
+
+        lines.push("-".repeat(60));
+        lines.push(...allResults.map((result, position) => (result ? formatResult(result, position) : null)).filter(Boolean));
+
+        return {
+          content: [{
+            type: "text",
+            text: lines.join("\n")
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
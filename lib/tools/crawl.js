@@ -0,0 +1,190 @@
+import { z } from "zod";
+import path from "path";
+import { crawlSite } from "../crawler.js";
+import { getErrorReason, formatDuration } from "../batch.js";
+import { validateBatchOutput, openBatchOutput } from "../batch-output.js";
+import { writeFileAtomic } from "../checkpoint.js";
+import { resolveSandboxPath } from "../sandbox.js";
+import { rememberBatch } from "../resources.js";
+import { createProgressReporter, logCancellation } from "../progress.js";
+
+// Entries listed per section of the text report; the JSON report file has them all
+const REPORT_LIST_LIMIT = 50;
+
+const formatList = (title, items, describe) => {
+  if (items.length === 0) {
+    return `${title}: none`;
+  }
+  const lines = items.slice(0, REPORT_LIST_LIMIT).map(item => `  - ${describe(item)}`);
+  if (items.length > REPORT_LIST_LIMIT) {
+    lines.push(`  ... and ${items.length - REPORT_LIST_LIMIT} more`);
+  }
+  return `${title} (${items.length}):\n${lines.join("\n")}`;
+};
+
+// SITE CRAWL TOOL
+export const registerCrawlTool = (server) => {
+  server.tool(
+    "jina_crawl",
+    "Crawl a website breadth-first from a seed URL with Jina Reader, following page links and saving every page like jina_reader_list does",
+    {
+      url: z.string().url().describe("Seed URL to start crawling from"),
+      outputFile: z.string()
+        .optional()
+        .describe("Path where the crawled pages will be saved as one file"),
+      outputDir: z.string()
+        .optional()
+        .describe("Directory to write one file per page plus an index.json, instead of a single outputFile"),
+      maxDepth: z.number()
+        .int()
+        .min(0)
+        .max(10)
+        .optional()
+        .default(2)
+        .describe("How many links away from the seed to follow (0 reads only the seed)"),
+      maxPages: z.number()
+        .int()
+        .min(1)
+        .max(1000)
+        .optional()
+        .default(50)
+        .describe("Maximum number of pages to read"),
+      sameOrigin: z.boolean()
+        .optional()
+        .default(true)
+        .describe("Only follow links on the seed URL's origin"),
+      include: z.array(z.string())
+        .optional()
+        .default([])
+        .describe("URL globs to follow, e.g. 'https://docs.example.com/guide/**' (* stays within a path segment, ** matches anything)"),
+      exclude: z.array(z.string())
+        .optional()
+        .default([])
+        .describe("URL globs never to follow"),
+      format: z.enum(["Default", "Markdown", "HTML", "Text", "Screenshot", "Pageshot"])
+        .optional()
+        .default("Markdown")
+        .describe("Output format for the extracted content"),
+      withImages: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Include images in the extracted content"),
+      delimiter: z.string()
+        .optional()
+        .default("\n---\n")
+        .describe("Delimiter to separate pages (text outputFormat only)"),
+      outputFormat: z.enum(["text", "jsonl", "json"])
+        .optional()
+        .default("text")
+        .describe("Layout of outputFile: delimiter-joined text, one JSON record per line, or a JSON array of records"),
+      concurrency: z.number()
+        .int()
+        .min(1)
+        .max(20)
+        .optional()
+        .default(5)
+        .describe("Maximum number of pages to read in parallel (1-20)"),
+      delayMs: z.number()
+        .int()
+        .min(0)
+        .optional()
+        .default(100)
+        .describe("Pause in milliseconds each worker takes between requests"),
+      noCache: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Bypass the local response cache and fetch fresh copies of every page")
+    },
+    async ({ url, outputFile, outputDir, maxDepth, maxPages, sameOrigin, include, exclude, format, withImages, delimiter, outputFormat, concurrency, delayMs, noCache }, extra) => {
+      try {
+        validateBatchOutput({ outputFile, outputDir, outputFormat });
+
+        // Open the output (and check the report path) before any page is read, so a path outside
+        // the sandbox fails up front; each page is then checkpointed as soon as it finishes
+        const output = openBatchOutput({ outputFile, outputDir, outputFormat, delimiter }, [], { format, withLinks: true, withImages });
+        const reportPath = outputDir ? path.join(outputDir, "crawl-report.json") : `${outputFile}.crawl.json`;
+        const reportFile = resolveSandboxPath(reportPath, { write: true });
+        let levelStart = 0;
+
+        const reportProgress = createProgressReporter(extra);
+        const { visited, skipped, cancelled, budgetError, durationMs } = await crawlSite(url, {
+          maxDepth,
+          maxPages,
+          sameOrigin,
+          include,
+          exclude,
+          format,
+          withImages,
+          concurrency,
+          delayMs,
+          noCache,
+          signal: extra.signal,
+          onLevel: (urls) => {
+            levelStart = output.add(urls);
+          },
+          onResult: (result, index) => output.record(levelStart + index, result),
+          onProgress: ({ completed, total, url: pageUrl, depth }) => reportProgress(completed, total, `Read ${pageUrl} (depth ${depth})`)
+        });
+
+        // Assemble the output in visit order; pages a cancellation or the token budget left unread
+        // stay pending in the manifest
+        const outputLines = output.finalize();
+
+        const succeeded = visited.filter(page => page.ok);
+        const failed = visited.filter(page => !page.ok);
+
+        // Keep the complete report next to the output
+        writeFileAtomic(reportFile, JSON.stringify({
+          seed: url,
+          options: { maxDepth, maxPages, sameOrigin, include, exclude },
+          durationMs,
+          cancelled,
+          budgetExhausted: Boolean(budgetError),
+          visited: succeeded.map(page => ({ url: page.url, depth: page.depth, title: page.page.title || null })),
+          failed: failed.map(page => ({ url: page.url, depth: page.depth, error: getErrorReason(page.error) })),
+          skipped
+        }, null, 2));
+
+        const resourceUri = rememberBatch(server, {
+          tool: "jina_crawl",
+          title: `Crawl of ${url}`,
+          path: output.resultPath,
+          outputFormat,
+          summary: `${succeeded.length} pages read, ${failed.length} failed`
+        });
+        if (resourceUri) {
+          outputLines.push(`Resource: ${resourceUri}`);
+        }
+        if (cancelled) {
+          logCancellation("jina_crawl", `${visited.length} pages finished, partial results in ${output.resultPath}`);
+        }
+        if (budgetError) {
+          throw new Error(`${budgetError.message} The crawl stopped after ${visited.length} pages from ${url}; partial results in ${output.resultPath}, crawl report in ${reportPath}.`);
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text: [
+              `${cancelled ? "Crawl cancelled after" : "Crawled"} ${visited.length} pages from ${url} in ${formatDuration(durationMs)}: ${succeeded.length} read, ${failed.length} failed, ${skipped.length} links skipped.`,
+              ...outputLines,
+              `Crawl report: ${reportPath}`,
+              "",
+              formatList("Visited", succeeded, page => `[depth ${page.depth}] ${page.url}`),
+              formatList("Failed", failed, page => `[depth ${page.depth}] ${page.url}: ${getErrorReason(page.error)}`),
+              formatList("Skipped", skipped, item => `${item.url} (${item.reason})`)
+            ].join("\n")
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
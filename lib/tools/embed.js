@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { embed, DEFAULT_EMBEDDING_MODEL } from "../jina-client.js";
+
+const EMBEDDING_TASKS = ["retrieval.query", "retrieval.passage", "text-matching", "classification", "separation"];
+
+// EMBEDDINGS TOOL
+export const registerEmbedTool = (server) => {
+  server.tool(
+    "jina_embed",
+    "Create embedding vectors for texts with Jina Embeddings (requires JINA_API_KEY)",
+    {
+      texts: z.array(z.string().min(1))
+        .min(1)
+        .max(512)
+        .describe("Texts to embed"),
+      task: z.enum(EMBEDDING_TASKS)
+        .optional()
+        .describe("What the vectors are for: retrieval.query / retrieval.passage for search, text-matching for similarity, classification or separation (clustering)"),
+      model: z.string()
+        .optional()
+        .default(DEFAULT_EMBEDDING_MODEL)
+        .describe("Jina embedding model"),
+      dimensions: z.number()
+        .int()
+        .min(32)
+        .optional()
+        .describe("Truncate the vectors to this many dimensions (models with Matryoshka embeddings only)")
+    },
+    async ({ texts, task, model, dimensions }, extra) => {
+      try {
+        const result = await embed(texts, { model, task, dimensions }, { signal: extra.signal });
+
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              model: result.model,
+              dimensions: result.embeddings.length > 0 ? result.embeddings[0].length : null,
+              tokens: result.tokens,
+              embeddings: result.embeddings
+            })
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
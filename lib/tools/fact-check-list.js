@@ -0,0 +1,198 @@
+import { z } from "zod";
+import fs from "fs";
+import path from "path";
+import { factCheck } from "../jina-client.js";
+import { mapWithConcurrency, getErrorReason, formatDuration } from "../batch.js";
+import { toFactCheckReport, formatFactCheckReport, getOutcome } from "../fact-check.js";
+import { loadClaims, CLAIM_FORMATS } from "../claims-input.js";
+import { writeFileAtomic } from "../checkpoint.js";
+import { resolveSandboxPath } from "../sandbox.js";
+import { rememberBatch } from "../resources.js";
+import { isCancelled } from "../retry.js";
+import { isBudgetExceeded } from "../usage.js";
+import { createProgressReporter, logCancellation } from "../progress.js";
+
+const OUTCOMES = ["supported", "refuted", "undetermined", "error"];
+
+// Check one claim; failures are captured so one claim never aborts the list.
+// Returns null when the check was cancelled through `signal`, and throws once the session's token budget is spent.
+const checkClaim = async ({ id, statement }, deepdive, signal) => {
+  const startedAt = Date.now();
+  let retries = 0;
+  try {
+    const report = toFactCheckReport(statement, await factCheck(statement, { deepdive }, { signal, onRetry: () => retries++ }));
+    return { id, outcome: getOutcome(report), ...report, error: null, retries, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    if (isCancelled(error)) {
+      return null;
+    }
+    if (isBudgetExceeded(error)) {
+      throw error;
+    }
+    return { id, outcome: "error", statement, factuality: null, verdict: null, reasoning: null, references: [], error: getErrorReason(error), retries, durationMs: Date.now() - startedAt };
+  }
+};
+
+const countOutcomes = (results) => {
+  return Object.fromEntries(OUTCOMES.map(outcome => [outcome, results.filter(result => result.outcome === outcome).length]));
+};
+
+const formatCounts = (counts) => `Supported: ${counts.supported}, Refuted: ${counts.refuted}, Undetermined: ${counts.undetermined}, Errors: ${counts.error}`;
+
+const formatMarkdownReport = (results, counts) => {
+  const sections = results.map(result => {
+    const title = `Claim ${result.id}`;
+    if (result.outcome === "error") {
+      return `## ${title}\n\n**Statement**: ${result.statement}\n**Error**: ${result.error}`;
+    }
+    return formatFactCheckReport(result, { heading: "##", title });
+  });
+
+  return [`# Fact-Check Report: ${results.length} claims`, formatCounts(counts), ...sections].join("\n\n") + "\n";
+};
+
+const REPORT_FORMATS = {
+  markdown: formatMarkdownReport,
+  json: (results, counts) => JSON.stringify({ counts, claims: results }, null, 2) + "\n",
+  jsonl: (results) => results.map(result => JSON.stringify(result)).join("\n") + "\n"
+};
+
+// FACT-CHECK LIST TOOL
+export const registerFactCheckListTool = (server) => {
+  server.tool(
+    "jina_fact_check_list",
+    "Fact-check many claims from a file (one per line, or JSONL with ids) or an inline array, writing a report with each claim's verdict, score and references",
+    {
+      inputFile: z.string()
+        .optional()
+        .describe("Claims file: one claim per line (# comments ignored), or JSONL objects with an id and the claim"),
+      claims: z.array(z.string())
+        .optional()
+        .describe("Claims to check, instead of or in addition to inputFile"),
+      inputFormat: z.enum(CLAIM_FORMATS)
+        .optional()
+        .default("auto")
+        .describe("How to parse inputFile; auto treats .jsonl files and files of JSON objects as JSONL"),
+      idField: z.string()
+        .optional()
+        .default("id")
+        .describe("JSONL property holding the claim id"),
+      claimField: z.string()
+        .optional()
+        .default("claim")
+        .describe("JSONL property holding the claim text"),
+      outputFile: z.string()
+        .optional()
+        .describe("Write the full report here; without it the report is returned in the response"),
+      outputFormat: z.enum(["markdown", "json", "jsonl"])
+        .optional()
+        .default("markdown")
+        .describe("Layout of the report"),
+      deepdive: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Enable deep analysis with more comprehensive research for every claim"),
+      concurrency: z.number()
+        .int()
+        .min(1)
+        .max(10)
+        .optional()
+        .default(3)
+        .describe("Maximum number of claims checked in parallel (1-10)")
+    },
+    async ({ inputFile, claims: inlineClaims, inputFormat, idField, claimField, outputFile, outputFormat, deepdive, concurrency }, extra) => {
+      try {
+        const claims = loadClaims({ inputFile, claims: inlineClaims, inputFormat, idField, claimField });
+        if (claims.length === 0) {
+          throw new Error("No claims found in the input");
+        }
+
+        // Refuse a disallowed report path before spending quota on the checks
+        const reportPath = outputFile ? resolveSandboxPath(outputFile, { write: true }) : null;
+
+        const startedAt = Date.now();
+        const reportProgress = createProgressReporter(extra);
+        let completed = 0;
+        let budgetError = null;
+        const allResults = await mapWithConcurrency(claims, concurrency, async (claim) => {
+          if (budgetError) {
+            return null;
+          }
+          let result;
+          try {
+            result = await checkClaim(claim, deepdive, extra.signal);
+          } catch (error) {
+            budgetError = budgetError || error;
+            return null;
+          }
+          if (result) {
+            reportProgress(++completed, claims.length, `Checked claim ${claim.id}`);
+          }
+          return result;
+        }, { signal: extra.signal });
+
+        // After a cancellation, or once the token budget is spent, the report covers the claims that were checked
+        const results = allResults.filter(Boolean);
+        const cancelledCount = claims.length - results.length;
+        const counts = countOutcomes(results);
+        const report = REPORT_FORMATS[outputFormat](results, counts);
+
+        const lines = [
+          `Checked ${results.length} claims in ${formatDuration(Date.now() - startedAt)}`,
+          formatCounts(counts)
+        ];
+        // The partial report still comes back, after the budget error
+        const respond = (text) => {
+          return budgetError
+            ? { content: [{ type: "text", text: `Error: ${budgetError.message}\n\n${text}` }], isError: true }
+            : { content: [{ type: "text", text }] };
+        };
+        if (budgetError) {
+          lines.push(`Not checked: ${cancelledCount} claims, as the session's token budget is spent`);
+        } else if (cancelledCount > 0) {
+          lines.push(`Cancelled: ${cancelledCount} claims were not checked`);
+          logCancellation("jina_fact_check_list", `${results.length} of ${claims.length} claims checked${reportPath ? `, partial report in ${reportPath}` : ""}`);
+        }
+
+        if (!reportPath) {
+          lines.push("", report);
+          return respond(lines.join("\n"));
+        }
+
+        try {
+          fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+          writeFileAtomic(reportPath, report);
+        } catch (writeError) {
+          throw new Error(`Could not write report file: ${writeError.message}`);
+        }
+
+        lines.push(`Report saved to: ${reportPath}`);
+        const resourceUri = rememberBatch(server, {
+          tool: "jina_fact_check_list",
+          title: `Fact-check of ${results.length} claims`,
+          path: reportPath,
+          outputFormat,
+          summary: formatCounts(counts)
+        });
+        if (resourceUri) {
+          lines.push(`Resource: ${resourceUri}`);
+        }
+        lines.push("-".repeat(60));
+        results.forEach(result => {
+          const score = result.factuality === null ? "" : ` (score ${result.factuality})`;
+          lines.push(`[${result.id}] ${result.outcome.toUpperCase()}${score}: ${result.statement}${result.error ? ` - ${result.error}` : ""}`);
+        });
+
+        return respond(lines.join("\n"));
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
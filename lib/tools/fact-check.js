@@ -0,0 +1,41 @@
+import { z } from "zod";
+import { factCheck } from "../jina-client.js";
+import { toFactCheckReport, formatFactCheckReport } from "../fact-check.js";
+
+// FACT-CHECK TOOL
+export const registerFactCheckTool = (server) => {
+  server.tool(
+    "jina_fact_check",
+    "Verify the factuality of statements using Jina AI's fact-checking capability. Returns a verdict, factuality score, reasoning and numbered references",
+    {
+      statement: z.string().nonempty().describe("Statement to fact-check for accuracy"),
+      deepdive: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Enable deep analysis with more comprehensive research"),
+      raw: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Return the unprocessed grounding API response as JSON instead of the Markdown report")
+    },
+    async ({ statement, deepdive, raw }) => {
+      try {
+        const data = await factCheck(statement, { deepdive });
+        return {
+          content: [{
+            type: "text",
+            text: raw ? JSON.stringify(data, null, 2) : formatFactCheckReport(toFactCheckReport(statement, data))
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
@@ -0,0 +1,163 @@
+import { z } from "zod";
+import { JOB_STATUSES, getJob, getJobOwner, listJobs, cancelJob, resumeJob, getMissingSecrets } from "../jobs.js";
+import { readerControlsSchema } from "../reader-options.js";
+
+const formatProgress = (progress) => {
+  if (!progress) {
+    return "Progress: not started";
+  }
+  const total = progress.total ? `/${progress.total}` : "";
+  return `Progress: ${progress.completed}${total}${progress.message ? ` - ${progress.message}` : ""}`;
+};
+
+const formatJob = (job) => {
+  const lines = [
+    `Job ${job.id} (${job.tool}): ${job.status}`,
+    `Submitted: ${job.createdAt}${job.startedAt ? `, started: ${job.startedAt}` : ""}${job.finishedAt ? `, finished: ${job.finishedAt}` : ""}`,
+    formatProgress(job.progress)
+  ];
+  if (job.runs > 1) {
+    lines.push(`Runs: ${job.runs}`);
+  }
+  if (job.error) {
+    lines.push(`Error: ${job.error}`);
+  }
+  if (job.status === "interrupted") {
+    lines.push("Resume it with jina_job_resume to read the URLs it did not finish.");
+  }
+  const missing = getMissingSecrets(job);
+  if (missing.length > 0 && job.status !== "completed") {
+    lines.push(`Not kept on disk: ${missing.join(", ")}; pass them to jina_job_resume again.`);
+  }
+  return lines.join("\n");
+};
+
+const errorResult = (error) => {
+  return {
+    content: [{
+      type: "text",
+      text: `Error: ${error.message}`
+    }],
+    isError: true
+  };
+};
+
+// JOB TOOLS
+export const registerJobTools = (server) => {
+  // JOB STATUS TOOL
+  server.tool(
+    "jina_job_status",
+    "Show the status and progress of a background job",
+    {
+      jobId: z.string().describe("Id returned when the job was started")
+    },
+    async ({ jobId }, extra) => {
+      try {
+        return { content: [{ type: "text", text: formatJob(getJob(jobId, getJobOwner(extra))) }] };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+
+  // JOB RESULT TOOL
+  server.tool(
+    "jina_job_result",
+    "Fetch the result of a finished background job: the same summary the tool would have returned when run directly",
+    {
+      jobId: z.string().describe("Id returned when the job was started")
+    },
+    async ({ jobId }, extra) => {
+      try {
+        const job = getJob(jobId, getJobOwner(extra));
+
+        if (job.status === "queued" || job.status === "running") {
+          return { content: [{ type: "text", text: `${formatJob(job)}\n\nThe job has not finished yet; check again later.` }] };
+        }
+        if (!job.result) {
+          return { content: [{ type: "text", text: formatJob(job) }], isError: job.status === "failed" };
+        }
+
+        return { content: [{ type: "text", text: formatJob(job) }, ...job.result] };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+
+  // JOB LIST TOOL
+  server.tool(
+    "jina_job_list",
+    "List background jobs, newest first, including jobs interrupted by a server restart",
+    {
+      status: z.enum(JOB_STATUSES)
+        .optional()
+        .describe("Only list jobs with this status"),
+      limit: z.number()
+        .int()
+        .min(1)
+        .optional()
+        .default(20)
+        .describe("Maximum number of jobs to list")
+    },
+    async ({ status, limit }, extra) => {
+      try {
+        const jobs = listJobs(getJobOwner(extra), { status });
+        if (jobs.length === 0) {
+          return { content: [{ type: "text", text: "No background jobs found." }] };
+        }
+
+        const lines = jobs.slice(0, limit).map(job => {
+          const progress = job.progress ? ` (${job.progress.completed}${job.progress.total ? `/${job.progress.total}` : ""})` : "";
+          return `- ${job.id} ${job.tool}: ${job.status}${progress}, submitted ${job.createdAt}`;
+        });
+        if (jobs.length > limit) {
+          lines.push(`... and ${jobs.length - limit} more`);
+        }
+
+        return { content: [{ type: "text", text: `Background jobs (${jobs.length}):\n${lines.join("\n")}` }] };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+
+  // JOB CANCEL TOOL
+  server.tool(
+    "jina_job_cancel",
+    "Cancel a queued or running background job; a running job stops its requests and keeps the results it finished",
+    {
+      jobId: z.string().describe("Id returned when the job was started")
+    },
+    async ({ jobId }, extra) => {
+      try {
+        const job = cancelJob(jobId, getJobOwner(extra));
+        const text = job.status === "cancelled"
+          ? `Job ${job.id} was cancelled before it started.`
+          : `Cancelling job ${job.id}; it writes what it finished and then stops. Check it with jina_job_status.`;
+        return { content: [{ type: "text", text }] };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+
+  // JOB RESUME TOOL
+  server.tool(
+    "jina_job_resume",
+    "Queue an interrupted, cancelled or failed background job again, continuing from the results it already wrote",
+    {
+      jobId: z.string().describe("Id of the job to resume"),
+      cookies: readerControlsSchema.cookies.describe("The job's cookies, needed again after a server restart since they are not kept on disk"),
+      proxyUrl: readerControlsSchema.proxyUrl.describe("The job's proxy URL, needed again after a server restart since it is not kept on disk")
+    },
+    async ({ jobId, cookies, proxyUrl }, extra) => {
+      try {
+        const job = resumeJob(server, jobId, getJobOwner(extra), { cookies, proxyUrl });
+        return { content: [{ type: "text", text: `Resumed job ${job.id} (run ${job.runs}); it is now ${job.status}.` }] };
+      } catch (error) {
+        return errorResult(error);
+      }
+    }
+  );
+};
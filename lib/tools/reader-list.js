@@ -0,0 +1,238 @@
+import { z } from "zod";
+import { readUrlBatch, applyPageBudget, formatRetrySummary, formatDuration } from "../batch.js";
+import { validateBatchOutput, openBatchOutput } from "../batch-output.js";
+import { loadUrls, INPUT_FORMATS } from "../url-input.js";
+import { rememberBatch } from "../resources.js";
+import { createProgressReporter, logCancellation } from "../progress.js";
+import { registerJobRunner, submitJob, getJobOwner } from "../jobs.js";
+import { resolveSandboxPath } from "../sandbox.js";
+import { getCharBudget, DEFAULT_CHUNK_CHARS } from "../text.js";
+import { readerControlsSchema, pickReaderControls, describeReaderControls, SECRET_READER_CONTROLS } from "../reader-options.js";
+
+// Read every URL of a jina_reader_list call into its output and return the tool result.
+// Runs inline for a normal call and in the job queue for `background` calls.
+const runReaderList = async (server, args, { signal, reportProgress }) => {
+  const { inputFile, urls: inlineUrls, inputFormat, urlField, baseUrl, outputFile, outputDir, format, withLinks, withImages, maxChars, maxTokens, chunk, delimiter, outputFormat, concurrency, delayMs, noCache, resume } = args;
+  const controls = pickReaderControls(args);
+  validateBatchOutput({ outputFile, outputDir, outputFormat });
+
+  // Collect URLs from the input file and/or the inline list
+  const { urls } = await loadUrls({ inputFile, urls: inlineUrls, inputFormat, urlField, baseUrl, signal: signal });
+
+  if (urls.length === 0) {
+    throw new Error("No valid URLs found in the input");
+  }
+
+  // Budget options and reader controls only join the recorded options when set, so older manifests still resume
+  const budget = getCharBudget({ maxChars, maxTokens }) || (chunk ? DEFAULT_CHUNK_CHARS : null);
+  const pageOptions = budget ? { format, withLinks, withImages, maxChars: budget, chunk } : { format, withLinks, withImages };
+  if (Object.keys(controls).length > 0) {
+    pageOptions.controls = describeReaderControls(controls);
+  }
+
+  // Track progress next to the output (manifest or index.json) so an interrupted run can resume
+  const output = openBatchOutput({ outputFile, outputDir, outputFormat, delimiter }, urls, pageOptions, { resume });
+
+  // Process the remaining URLs in parallel; each result is checkpointed as it finishes
+  const pending = output.pendingIndexes();
+  const resumedCount = output.resumedCount();
+  reportProgress(resumedCount, urls.length, `Reading ${pending.length} URLs`);
+
+  const { results: batchResults, cancelled, budgetError, durationMs } = await readUrlBatch(pending.map(index => urls[index]), {
+    format,
+    withLinks,
+    withImages,
+    controls,
+    concurrency,
+    delayMs,
+    noCache,
+    signal,
+    onResult: (result, index) => output.record(pending[index], applyPageBudget(result, pageOptions)),
+    onProgress: ({ completed, url }) => reportProgress(resumedCount + completed, urls.length, `Read ${url}`)
+  });
+
+  // Combine all results in input order and write the output; a cancelled run, or one that spent
+  // the session's token budget, keeps what finished
+  const outputLines = output.finalize();
+
+  const results = batchResults.filter(result => !result.cancelled);
+  const cancelledCount = batchResults.length - results.length;
+  const processedCount = resumedCount + results.filter(result => result.ok).length;
+  const averageMs = results.length > 0
+    ? Math.round(results.reduce((sum, result) => sum + result.durationMs, 0) / results.length)
+    : 0;
+  if (resume) {
+    outputLines.push(`Resumed: ${resumedCount} URLs carried over from the previous run, ${results.length} fetched`);
+  }
+  if (cancelled) {
+    outputLines.push(`Cancelled: ${cancelledCount} URLs were not read; run again with resume to read them`);
+  }
+
+  const resourceUri = rememberBatch(server, {
+    tool: "jina_reader_list",
+    title: `Batch of ${urls.length} URLs`,
+    path: output.resultPath,
+    outputFormat,
+    summary: `${processedCount} of ${urls.length} URLs read`
+  });
+  if (resourceUri) {
+    outputLines.push(`Resource: ${resourceUri}`);
+  }
+  if (cancelled) {
+    logCancellation("jina_reader_list", `${resumedCount + results.length} of ${urls.length} URLs finished, partial results in ${output.resultPath}`);
+  }
+  // Reported as an error, so a background job ends up failed and can be resumed
+  if (budgetError) {
+    throw new Error(`${budgetError.message} ${resumedCount + results.length} of ${urls.length} URLs finished, partial results in ${output.resultPath}; run again with resume to read the rest.`);
+  }
+
+  const content = [{
+    type: "text",
+    text: `Successfully processed ${processedCount} out of ${urls.length} URLs.\n${outputLines.join("\n")}\nCompleted in ${formatDuration(durationMs)} (concurrency ${concurrency}, average ${formatDuration(averageMs)} per URL)\n${formatRetrySummary(results)}`
+  }];
+
+  // Structured output also gets a machine-readable summary
+  if (outputFormat !== "text") {
+    content.push({
+      type: "text",
+      text: JSON.stringify({
+        outputFile,
+        outputFormat,
+        total: urls.length,
+        succeeded: processedCount,
+        failed: urls.length - processedCount - cancelledCount,
+        resumed: resumedCount,
+        cancelled: cancelledCount,
+        retries: results.reduce((sum, result) => sum + result.retries, 0),
+        durationMs
+      })
+    });
+  }
+
+  return { content };
+};
+
+// Jobs pick up an interrupted run from its manifest or index.json; cookies and proxy credentials
+// stay out of the job file
+registerJobRunner("jina_reader_list", runReaderList, { resume: (args) => ({ ...args, resume: true }), secrets: SECRET_READER_CONTROLS });
+
+// WEB READER LIST TOOL
+export const registerReaderListTool = (server) => {
+  server.tool(
+    "jina_reader_list",
+    "Read links from a file (plain list, sitemap, CSV, JSON/JSONL, Markdown or HTML) or an inline list and process each one with Jina Reader, saving results to an output file or one file per URL in an output directory",
+    {
+      inputFile: z.string()
+        .optional()
+        .describe("Path to the file containing URLs (one per line, or a sitemap, CSV, JSON/JSONL, Markdown or HTML file)"),
+      urls: z.array(z.string())
+        .optional()
+        .describe("Inline list of URLs to read, instead of or in addition to inputFile"),
+      inputFormat: z.enum(INPUT_FORMATS)
+        .optional()
+        .default("auto")
+        .describe("How to parse inputFile; 'auto' detects it from the extension and content"),
+      urlField: z.string()
+        .optional()
+        .default("url")
+        .describe("CSV column or JSON/JSONL property (dotted paths allowed) holding the URL"),
+      baseUrl: z.string()
+        .url()
+        .optional()
+        .describe("Base URL used to resolve relative links in the input"),
+      outputFile: z.string()
+        .optional()
+        .describe("Path where the processed results will be saved as one delimiter-joined file"),
+      outputDir: z.string()
+        .optional()
+        .describe("Directory to write one file per URL plus an index.json, instead of a single outputFile"),
+      format: z.enum(["Default", "Markdown", "HTML", "Text", "Screenshot", "Pageshot"])
+        .optional()
+        .default("Markdown")
+        .describe("Output format for the extracted content"),
+      withLinks: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Include links in the extracted content"),
+      withImages: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Include images in the extracted content"),
+      ...readerControlsSchema,
+      maxChars: z.number()
+        .int()
+        .min(200)
+        .optional()
+        .describe("Character budget per page: longer pages are trimmed at a paragraph boundary, or split into chunks of this size with chunk"),
+      maxTokens: z.number()
+        .int()
+        .min(50)
+        .optional()
+        .describe("Budget per page in approximate tokens (4 characters each), instead of or as well as maxChars"),
+      chunk: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Split long pages on heading and paragraph boundaries into numbered chunks within the budget (about 2000 tokens by default); JSON output gets one record per chunk"),
+      delimiter: z.string()
+        .optional()
+        .default("\n---\n")
+        .describe("Delimiter to separate results from different URLs (text outputFormat only)"),
+      outputFormat: z.enum(["text", "jsonl", "json"])
+        .optional()
+        .default("text")
+        .describe("Layout of outputFile: delimiter-joined text, one JSON record per line, or a JSON array of records"),
+      concurrency: z.number()
+        .int()
+        .min(1)
+        .max(20)
+        .optional()
+        .default(5)
+        .describe("Maximum number of URLs to read in parallel (1-20)"),
+      delayMs: z.number()
+        .int()
+        .min(0)
+        .optional()
+        .default(100)
+        .describe("Pause in milliseconds each worker takes between requests"),
+      noCache: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Bypass the local response cache and the reader's own cache to fetch fresh copies of every URL"),
+      resume: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Continue a previous run into the same outputFile or outputDir, only fetching URLs that failed or never finished"),
+      background: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Run as a background job and return its id right away; follow it with jina_job_status and jina_job_result")
+    },
+    async (args, extra) => {
+      try {
+        validateBatchOutput(args);
+
+        if (args.background) {
+          // Refuse a disallowed output path now rather than in a job nobody is watching
+          resolveSandboxPath(args.outputFile || args.outputDir, { write: true });
+          const job = submitJob(server, { tool: "jina_reader_list", args: { ...args, background: false }, owner: getJobOwner(extra) });
+          return {
+            content: [{
+              type: "text",
+              text: `Started background job ${job.id} for jina_reader_list.\nCheck it with jina_job_status and fetch the summary with jina_job_result once it completes.`
+            }]
+          };
+        }
+
+        return await runReaderList(server, args, { signal: extra.signal, reportProgress: createProgressReporter(extra) });
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
@@ -0,0 +1,161 @@
+import { z } from "zod";
+import { createHash } from "crypto";
+import { readUrl, getPageContent } from "../jina-client.js";
+import { isImageFormat, fetchPageImage, saveImage } from "../images.js";
+import { rememberPage, recallPage } from "../resources.js";
+import { readerControlsSchema, pickReaderControls } from "../reader-options.js";
+import { truncateText, chunkMarkdown, getCharBudget, formatSectionPath, DEFAULT_CHUNK_CHARS } from "../text.js";
+
+// A cursor names the next chunk, the chunk size and a fingerprint of the page,
+// so a follow-up call notices when the page changed in between
+const getFingerprint = (text) => createHash("sha256").update(text).digest("hex").slice(0, 12);
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+    if (Number.isInteger(cursor.chunk) && cursor.chunk > 0 && Number.isInteger(cursor.size) && cursor.size > 0 && typeof cursor.page === "string") {
+      return cursor;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new Error("Invalid cursor; pass the cursor from the previous jina_reader response unchanged");
+};
+
+// One numbered chunk of the page with its URL, section path and the cursor of the next chunk
+const formatChunk = (url, content, size, number) => {
+  const chunks = chunkMarkdown(content, size);
+  if (chunks.length === 0) {
+    return { content: [{ type: "text", text: `[${url} has no content]` }] };
+  }
+  const entry = chunks[number - 1];
+  if (!entry) {
+    throw new Error(`${url} has only ${chunks.length} chunks`);
+  }
+
+  const section = entry.path.length > 0 ? ` | Section: ${formatSectionPath(entry.path)}` : "";
+  const next = number < chunks.length
+    ? `[Next chunk: call jina_reader with the same url and options and "cursor": "${encodeCursor({ chunk: number + 1, size, page: getFingerprint(content) })}"]`
+    : "[Last chunk]";
+
+  return {
+    content: [{
+      type: "text",
+      text: `[Chunk ${number} of ${chunks.length} | ${url}${section}]\n\n${entry.text}\n\n${next}`
+    }]
+  };
+};
+
+// WEB READER TOOL
+export const registerReaderTool = (server) => {
+  server.tool(
+    "jina_reader",
+    "Read and extract content from web pages using Jina AI's powerful web reader",
+    {
+      url: z.string().url().describe("URL of the webpage to read and extract content from"),
+      format: z.enum(["Default", "Markdown", "HTML", "Text", "Screenshot", "Pageshot"])
+        .optional()
+        .default("Markdown")
+        .describe("Output format for the extracted content"),
+      withLinks: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Include links in the extracted content"),
+      withImages: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Include images in the extracted content"),
+      ...readerControlsSchema,
+      noCache: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Bypass the local response cache and the reader's own cache to fetch a fresh copy"),
+      saveTo: z.string()
+        .optional()
+        .describe("Screenshot and Pageshot only: also save the image to this file"),
+      maxChars: z.number()
+        .int()
+        .min(200)
+        .optional()
+        .describe("Character budget: longer pages are trimmed at a paragraph boundary, or split into chunks of this size with chunk"),
+      maxTokens: z.number()
+        .int()
+        .min(50)
+        .optional()
+        .describe("Budget in approximate tokens (4 characters each), instead of or as well as maxChars"),
+      chunk: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Return the page in numbered chunks split on heading and paragraph boundaries (about 2000 tokens each unless a budget is given), starting with the first"),
+      cursor: z.string()
+        .optional()
+        .describe("Cursor from the previous chunk's response, to read the next chunk of the same page")
+    },
+    async (args) => {
+      const { url, format, withLinks, withImages, noCache, saveTo, maxChars, maxTokens, chunk, cursor } = args;
+      try {
+        const position = cursor ? decodeCursor(cursor) : null;
+
+        // Paging through a page read earlier in this session needs no new request
+        const recalled = position ? recallPage(server, url, format) : null;
+        if (recalled !== null && getFingerprint(recalled) === position.page) {
+          return formatChunk(url, recalled, position.size, position.chunk);
+        }
+
+        const page = await readUrl(url, { format, withLinks, withImages, controls: pickReaderControls(args) }, { noCache });
+
+        // Screenshot formats come back as an image the model can look at
+        if (isImageFormat(format)) {
+          const image = await fetchPageImage(page, format);
+          rememberPage(server, url, format, page, image);
+          const lines = [`${format} of ${url}`, `Image URL: ${image.url}`];
+          if (saveTo) {
+            lines.push(`Saved to: ${saveImage(saveTo, image)}`);
+          }
+
+          return {
+            content: [
+              { type: "text", text: lines.join("\n") },
+              { type: "image", data: image.data.toString("base64"), mimeType: image.mimeType }
+            ]
+          };
+        }
+
+        const pageUri = rememberPage(server, url, format, page);
+        const content = getPageContent(page);
+
+        if (position) {
+          if (getFingerprint(content) !== position.page) {
+            throw new Error(`${url} changed since the cursor was issued; read it again without a cursor`);
+          }
+          return formatChunk(url, content, position.size, position.chunk);
+        }
+
+        const budget = getCharBudget({ maxChars, maxTokens });
+        if (chunk) {
+          return formatChunk(url, content, budget || DEFAULT_CHUNK_CHARS, 1);
+        }
+
+        const { text, truncated } = truncateText(content, budget);
+        return {
+          content: [{
+            type: "text",
+            text: truncated
+              ? `${text}\n\n_[Trimmed to ${text.length} of ${content.length} characters; read it with "chunk": true to page through the rest${pageUri ? `, or read the full page from ${pageUri}` : ""}]_`
+              : content
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
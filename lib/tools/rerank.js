@@ -0,0 +1,58 @@
+import { z } from "zod";
+import { rerank, DEFAULT_RERANK_MODEL } from "../jina-client.js";
+
+// Documents are shown up to this many characters in the ranking
+const PREVIEW_CHARS = 200;
+
+const formatPreview = (text) => {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > PREVIEW_CHARS ? `${flat.slice(0, PREVIEW_CHARS)}...` : flat;
+};
+
+// RERANK TOOL
+export const registerRerankTool = (server) => {
+  server.tool(
+    "jina_rerank",
+    "Order documents by relevance to a query with the Jina Reranker (requires JINA_API_KEY)",
+    {
+      query: z.string().describe("Query to rank the documents against"),
+      documents: z.array(z.string())
+        .min(1)
+        .max(1000)
+        .describe("Documents to rank"),
+      topN: z.number()
+        .int()
+        .min(1)
+        .optional()
+        .describe("Only return the N most relevant documents"),
+      model: z.string()
+        .optional()
+        .default(DEFAULT_RERANK_MODEL)
+        .describe("Jina reranker model")
+    },
+    async ({ query, documents, topN, model }, extra) => {
+      try {
+        const result = await rerank(query, documents, { model, topN }, { signal: extra.signal });
+
+        const lines = result.results.map((entry, rank) => {
+          return `${rank + 1}. [${entry.score.toFixed(4)}] document ${entry.index}: ${formatPreview(entry.document)}`;
+        });
+
+        return {
+          content: [{
+            type: "text",
+            text: `Ranked ${documents.length} documents with ${result.model}${result.tokens ? ` (${result.tokens} tokens)` : ""}:\n${lines.join("\n")}`
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
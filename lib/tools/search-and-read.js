@@ -0,0 +1,130 @@
+import { z } from "zod";
+import { search, getPageContent } from "../jina-client.js";
+import { readUrlBatch, getErrorReason, formatDuration } from "../batch.js";
+import { truncateText } from "../text.js";
+import { rememberPage } from "../resources.js";
+import { createProgressReporter } from "../progress.js";
+
+// One section of the research document, attributed to its source and search rank
+const formatSection = (item, rank, result, maxCharsPerPage, pageUri) => {
+  const lines = [
+    `## ${rank}. ${(result.ok && result.page.title) || item.title || "No Title"}`,
+    "",
+    `**Source**: ${item.url} (search rank ${rank})`
+  ];
+
+  if (!result.ok) {
+    lines.push("", `_Could not read this page: ${getErrorReason(result.error)}_`);
+    if (item.description) {
+      lines.push("", `**Search snippet**: ${item.description}`);
+    }
+    return lines.join("\n");
+  }
+
+  const content = getPageContent(result.page);
+  const { text, truncated } = truncateText(content, maxCharsPerPage);
+  lines.push("", text);
+  if (truncated) {
+    lines.push("", `_[Trimmed to ${text.length} of ${content.length} characters${pageUri ? `; full page: ${pageUri}` : ""}]_`);
+  }
+  return lines.join("\n");
+};
+
+// SEARCH AND READ TOOL
+export const registerSearchAndReadTool = (server) => {
+  server.tool(
+    "jina_search_and_read",
+    "Search the web and read the top results in one call, returning a single Markdown document with each page attributed to its source URL and search rank",
+    {
+      query: z.string().describe("Search query to research"),
+      count: z.number()
+        .int()
+        .min(1)
+        .max(10)
+        .optional()
+        .default(3)
+        .describe("Number of top search results to read (1-10)"),
+      site: z.string()
+        .optional()
+        .describe("Limit search to specific website (e.g., 'github.com')"),
+      maxCharsPerPage: z.number()
+        .int()
+        .min(200)
+        .optional()
+        .default(4000)
+        .describe("Character budget per page; longer pages are trimmed at a paragraph boundary"),
+      format: z.enum(["Markdown", "Text"])
+        .optional()
+        .default("Markdown")
+        .describe("Format the pages are read in"),
+      noCache: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Bypass the local response cache and fetch fresh results")
+    },
+    async ({ query, count, site, maxCharsPerPage, format, noCache }, extra) => {
+      try {
+        const startedAt = Date.now();
+        const items = (await search(query, { count, site }, { noCache, signal: extra.signal })).filter(item => item.url);
+
+        if (items.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `# Research: ${query}\n\nNo search results found.`
+            }]
+          };
+        }
+
+        // Every result is read at once; the count is small enough not to need pacing
+        const reportProgress = createProgressReporter(extra);
+        const { results, processedCount, budgetError } = await readUrlBatch(items.map(item => item.url), {
+          format,
+          concurrency: items.length,
+          delayMs: 0,
+          noCache,
+          signal: extra.signal,
+          onProgress: ({ completed, total, url }) => reportProgress(completed, total, `Read ${url}`)
+        });
+
+        // Full pages stay available as resources; the document only carries the trimmed text
+        const sections = items.map((item, index) => {
+          const result = results[index];
+          const pageUri = result.ok ? rememberPage(server, result.url, format, result.page) : null;
+          return formatSection(item, index + 1, result, maxCharsPerPage, pageUri);
+        });
+        const header = [
+          `# Research: ${query}`,
+          "",
+          `Read ${processedCount} of the top ${items.length} search results in ${formatDuration(Date.now() - startedAt)}.`
+        ].join("\n");
+
+        // The pages read before the budget ran out are still returned, after the error
+        if (budgetError) {
+          return {
+            content: [{
+              type: "text",
+              text: `Error: ${budgetError.message}\n\n${[header, ...sections].join("\n\n---\n\n")}`
+            }],
+            isError: true
+          };
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text: [header, ...sections].join("\n\n---\n\n")
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
@@ -0,0 +1,111 @@
+import { z } from "zod";
+import { search } from "../jina-client.js";
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+// How each returnFormat renders the list of results; an empty list never gets here
+const RESULT_FORMATS = {
+  markdown: (results) => {
+    const sections = results.map((item, index) => {
+      const lines = [`## ${index + 1}. ${item.title || "No Title"}`, `**URL**: ${item.url || "No URL"}`];
+      if (item.description) {
+        lines.push(`**Description**: ${item.description}`);
+      }
+      if (item.date) {
+        lines.push(`**Date**: ${item.date}`);
+      }
+      return lines.join("\n");
+    });
+    return ["# Search Results", ...sections].join("\n\n");
+  },
+  text: (results) => {
+    return results.map((item, index) => {
+      const lines = [`${index + 1}. ${item.title || "No Title"}`, `   ${item.url || "No URL"}`];
+      if (item.description) {
+        lines.push(`   ${item.description}`);
+      }
+      if (item.date) {
+        lines.push(`   Date: ${item.date}`);
+      }
+      return lines.join("\n");
+    }).join("\n\n");
+  },
+  html: (results) => {
+    const items = results.map(item => {
+      const parts = [`<strong>${escapeHtml(item.title || "No Title")}</strong>`];
+      if (item.url) {
+        parts.push(`<a href="${escapeHtml(item.url)}">${escapeHtml(item.url)}</a>`);
+      }
+      if (item.description) {
+        parts.push(escapeHtml(item.description));
+      }
+      if (item.date) {
+        parts.push(`Date: ${escapeHtml(item.date)}`);
+      }
+      return `<li>${parts.join("<br>")}</li>`;
+    });
+    return `<ol>\n${items.join("\n")}\n</ol>`;
+  }
+};
+
+// Render search results in `returnFormat`; token usage is left out, jina_usage keeps the tally
+export const formatSearchResults = (results, returnFormat = "markdown") => {
+  if (results.length === 0) {
+    return "No search results found.";
+  }
+  return RESULT_FORMATS[returnFormat](results);
+};
+
+// SEARCH TOOL
+export const registerSearchTool = (server) => {
+  server.tool(
+    "jina_search",
+    "Search the web for information using Jina AI's search engine, returning the title, URL and description of each result",
+    {
+      query: z.string().nonempty().describe("Search query to find information on the web"),
+      count: z.number()
+        .int()
+        .min(1)
+        .max(20)
+        .optional()
+        .default(5)
+        .describe("Number of search results to return (1-20)"),
+      site: z.string()
+        .optional()
+        .describe("Limit search to specific website (e.g., 'github.com')"),
+      returnFormat: z.enum(Object.keys(RESULT_FORMATS))
+        .optional()
+        .default("markdown")
+        .describe("Format of the returned search results"),
+      noCache: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Bypass the local response cache and run a fresh search")
+    },
+    async ({ query, count, site, returnFormat, noCache }, extra) => {
+      try {
+        const results = await search(query, { count, site }, { noCache, signal: extra.signal });
+        return {
+          content: [{
+            type: "text",
+            text: formatSearchResults(results, returnFormat)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
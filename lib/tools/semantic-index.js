@@ -0,0 +1,189 @@
+import { z } from "zod";
+import { embed, rerank, DEFAULT_EMBEDDING_MODEL } from "../jina-client.js";
+import { loadBatchDocuments } from "../batch-documents.js";
+import { readVectorIndex, writeVectorIndex, createVectorIndex, addToVectorIndex, countIndexedPages, searchVectorIndex } from "../vector-index.js";
+import { chunkMarkdown, formatSectionPath } from "../text.js";
+import { formatDuration } from "../batch.js";
+import { createProgressReporter } from "../progress.js";
+import { isBudgetExceeded } from "../usage.js";
+
+// Chunks sent to the embeddings API per request
+const EMBED_BATCH_SIZE = 32;
+// With rerank, this many vector matches per requested result are handed to the reranker
+const RERANK_CANDIDATES_PER_RESULT = 4;
+
+// Passages are embedded with their page title and section so headings count towards a match
+const getEmbeddingText = (entry) => {
+  const heading = [entry.title, formatSectionPath(entry.section)].filter(Boolean).join(" - ");
+  return heading ? `${heading}\n\n${entry.text}` : entry.text;
+};
+
+const formatMatch = (match, rank) => {
+  const section = match.section.length > 0 ? formatSectionPath(match.section) : null;
+  const title = [match.title, section].filter(Boolean).join(" > ") || match.url;
+  return [
+    `## ${rank}. ${title}`,
+    "",
+    `**Source**: ${match.url} (score ${match.score.toFixed(3)})`,
+    "",
+    match.text
+  ].join("\n");
+};
+
+// SEMANTIC INDEX TOOLS
+export const registerSemanticIndexTools = (server) => {
+  // INDEX TOOL
+  server.tool(
+    "jina_index",
+    "Chunk the pages of a jina_reader_list or jina_crawl output, embed them with Jina Embeddings and store them in a local index file for jina_query (requires JINA_API_KEY)",
+    {
+      source: z.string().describe("Batch output to index: an outputFile (text, jsonl or json) or an outputDir"),
+      indexFile: z.string().describe("Index file to create, or to add the pages to; pages already in it are replaced"),
+      maxChars: z.number()
+        .int()
+        .min(200)
+        .optional()
+        .default(2000)
+        .describe("Chunk size in characters for pages the batch run did not already chunk"),
+      model: z.string()
+        .optional()
+        .default(DEFAULT_EMBEDDING_MODEL)
+        .describe("Jina embedding model; an existing index keeps the model it was built with")
+    },
+    async ({ source, indexFile, maxChars, model }, extra) => {
+      try {
+        const startedAt = Date.now();
+        const index = readVectorIndex(indexFile) || createVectorIndex(model);
+        if (index.model !== model) {
+          throw new Error(`${indexFile} was built with ${index.model}; index with the same model or use a new index file`);
+        }
+
+        const documents = loadBatchDocuments(source);
+        const entries = documents.flatMap(doc => {
+          const chunks = doc.chunks || chunkMarkdown(doc.content, maxChars);
+          return chunks.map(entry => ({ url: doc.url, title: doc.title, section: entry.path, text: entry.text }));
+        });
+        if (entries.length === 0) {
+          throw new Error(`No successfully read pages found in ${source}`);
+        }
+
+        // Embed in batches so large outputs stay within request limits
+        const reportProgress = createProgressReporter(extra);
+        let tokens = 0;
+        let budgetError = null;
+        for (let start = 0; start < entries.length; start += EMBED_BATCH_SIZE) {
+          const batch = entries.slice(start, start + EMBED_BATCH_SIZE);
+          let result;
+          try {
+            result = await embed(batch.map(getEmbeddingText), { model, task: "retrieval.passage" }, { signal: extra.signal });
+          } catch (error) {
+            if (!isBudgetExceeded(error)) {
+              throw error;
+            }
+            budgetError = error;
+            break;
+          }
+          batch.forEach((entry, offset) => {
+            entry.vector = result.embeddings[offset];
+          });
+          tokens += result.tokens || 0;
+          reportProgress(start + batch.length, entries.length, `Embedded ${start + batch.length} of ${entries.length} chunks`);
+        }
+
+        // Once the token budget is spent, the pages embedded in full are still indexed; a page
+        // left half done would replace its complete chunks from an earlier run
+        if (budgetError) {
+          const unfinished = new Set(entries.filter(entry => !entry.vector).map(entry => entry.url));
+          const finished = entries.filter(entry => !unfinished.has(entry.url));
+          if (finished.length === 0) {
+            throw budgetError;
+          }
+          addToVectorIndex(index, source, finished);
+          const indexPath = writeVectorIndex(indexFile, index);
+          throw new Error(`${budgetError.message} ${finished.length} of ${entries.length} chunks from the pages embedded in full, were indexed in ${indexPath}.`);
+        }
+
+        addToVectorIndex(index, source, entries);
+        const indexPath = writeVectorIndex(indexFile, index);
+
+        return {
+          content: [{
+            type: "text",
+            text: [
+              `Indexed ${entries.length} chunks from ${documents.length} pages in ${formatDuration(Date.now() - startedAt)}.`,
+              `Index: ${indexPath} (${index.model}, ${index.dimensions} dimensions)`,
+              `The index now holds ${index.chunks.length} chunks from ${countIndexedPages(index)} pages.`,
+              `Tokens used: ${tokens}`
+            ].join("\n")
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // QUERY TOOL
+  server.tool(
+    "jina_query",
+    "Answer a natural-language question from a local index built with jina_index: returns the most relevant passages with their source URLs (requires JINA_API_KEY)",
+    {
+      indexFile: z.string().describe("Index file built with jina_index"),
+      query: z.string().describe("Question or search phrase"),
+      topK: z.number()
+        .int()
+        .min(1)
+        .max(50)
+        .optional()
+        .default(5)
+        .describe("Number of passages to return"),
+      rerank: z.boolean()
+        .optional()
+        .default(false)
+        .describe("Re-order the closest matches with the Jina Reranker for better precision")
+    },
+    async ({ indexFile, query, topK, rerank: useRerank }, extra) => {
+      try {
+        const index = readVectorIndex(indexFile);
+        if (!index || index.chunks.length === 0) {
+          throw new Error(`${indexFile} holds no indexed pages; build it with jina_index first`);
+        }
+
+        const { embeddings } = await embed([query], { model: index.model, task: "retrieval.query" }, { signal: extra.signal });
+        let matches = searchVectorIndex(index, embeddings[0], useRerank ? topK * RERANK_CANDIDATES_PER_RESULT : topK);
+
+        if (useRerank) {
+          const ranked = await rerank(query, matches.map(match => match.text), { topN: topK }, { signal: extra.signal });
+          matches = ranked.results.map(entry => ({ ...matches[entry.index], score: entry.score }));
+        }
+
+        const header = [
+          `# Results for: ${query}`,
+          "",
+          `Top ${matches.length} of ${index.chunks.length} chunks from ${countIndexedPages(index)} pages${useRerank ? ", reranked" : ""}.`
+        ].join("\n");
+
+        return {
+          content: [{
+            type: "text",
+            text: [header, ...matches.map((match, position) => formatMatch(match, position + 1))].join("\n\n---\n\n")
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
@@ -0,0 +1,50 @@
+import { getSessionUsage, getSessionTokenBudget } from "../usage.js";
+
+// USAGE TOOL
+export const registerUsageTool = (server) => {
+  server.tool(
+    "jina_usage",
+    "Report the Jina API tokens this session has used, per tool, and how much of its token budget is left",
+    {},
+    async () => {
+      try {
+        const usage = getSessionUsage(server);
+        const budget = getSessionTokenBudget();
+        const lines = [
+          "# Jina API usage",
+          "",
+          `This session: ${usage.tokens} tokens in ${usage.requests} Jina requests from ${usage.calls} tool calls since ${usage.startedAt}`,
+          budget
+            ? `Budget: ${usage.tokens} of ${budget} tokens used, ${Math.max(0, budget - usage.tokens)} left`
+            : "Budget: none (set JINA_SESSION_TOKEN_BUDGET to cap a session)"
+        ];
+
+        const tools = Object.entries(usage.tools);
+        if (tools.length > 0) {
+          lines.push(
+            "",
+            "| Tool | Calls | Jina requests | Tokens |",
+            "|------|------:|--------------:|-------:|",
+            ...tools.map(([name, entry]) => `| ${name} | ${entry.calls} | ${entry.requests} | ${entry.tokens} |`)
+          );
+        }
+        lines.push("", "Responses served from the local cache make no request and cost no tokens.");
+
+        return {
+          content: [{
+            type: "text",
+            text: lines.join("\n")
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${error.message}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+};
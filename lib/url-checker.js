@@ -0,0 +1,159 @@
+import fetch from "node-fetch";
+import { mapWithConcurrency } from "./batch.js";
+import { USER_AGENT } from "./jina-client.js";
+import { RequestCancelledError, isCancelled } from "./retry.js";
+
+const MAX_REDIRECTS = 10;
+
+// Categories mirror check_urls.py: OK, REDIRECT, NOT FOUND, CLIENT ERROR, SERVER ERROR, TIMEOUT, error
+export const CHECK_CATEGORIES = {
+  ok: { icon: "✅", label: "OK" },
+  redirect: { icon: "↗️", label: "REDIRECT" },
+  not_found: { icon: "❌", label: "NOT FOUND" },
+  client_error: { icon: "⚠️", label: "CLIENT ERROR" },
+  server_error: { icon: "💥", label: "SERVER ERROR" },
+  timeout: { icon: "⏰", label: "TIMEOUT" },
+  error: { icon: "💔", label: "ERROR" }
+};
+
+const classifyStatus = (status, redirected) => {
+  if (status >= 200 && status < 300) {
+    return redirected ? "redirect" : "ok";
+  }
+  if (status >= 300 && status < 400) {
+    return "redirect";
+  }
+  if (status === 404 || status === 410) {
+    return "not_found";
+  }
+  if (status >= 400 && status < 500) {
+    return "client_error";
+  }
+  return status >= 500 ? "server_error" : "error";
+};
+
+// One request without automatic redirects, bounded by the remaining time budget
+const request = async (url, method, signal) => {
+  const response = await fetch(url, {
+    method,
+    redirect: "manual",
+    signal,
+    headers: { "User-Agent": USER_AGENT }
+  });
+
+  // Only the status and headers matter: destroying the body closes the connection, rather than
+  // downloading the rest of a large file after the check has returned
+  if (response.body) {
+    response.body.destroy();
+  }
+  return response;
+};
+
+// Follow redirects by hand so every hop is recorded
+const followRedirects = async (url, method, signal) => {
+  const chain = [];
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await request(currentUrl, method, signal);
+    const location = response.headers.get("location");
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { status: response.status, finalUrl: currentUrl, chain };
+    }
+
+    chain.push({ url: currentUrl, status: response.status });
+    currentUrl = new URL(location, currentUrl).href;
+  }
+
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+};
+
+// Check a single URL with HEAD, falling back to GET for servers that reject or mishandle HEAD.
+// Aborting `signal` stops the check with a RequestCancelledError.
+export const checkUrl = async (url, { timeoutMs = 30000, signal } = {}) => {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) {
+    signal.addEventListener("abort", cancel);
+  }
+
+  try {
+    let outcome;
+    let method = "HEAD";
+    try {
+      outcome = await followRedirects(url, "HEAD", controller.signal);
+    } catch (headError) {
+      if (controller.signal.aborted) {
+        throw headError;
+      }
+      outcome = null;
+    }
+
+    if (!outcome || outcome.status >= 400) {
+      method = "GET";
+      outcome = await followRedirects(url, "GET", controller.signal);
+    }
+
+    return {
+      url,
+      category: classifyStatus(outcome.status, outcome.chain.length > 0),
+      status: outcome.status,
+      method,
+      finalUrl: outcome.finalUrl,
+      redirects: outcome.chain,
+      error: null,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw new RequestCancelledError(`Checking ${url}`);
+    }
+
+    const timedOut = controller.signal.aborted;
+    return {
+      url,
+      category: timedOut ? "timeout" : "error",
+      status: null,
+      method: null,
+      finalUrl: null,
+      redirects: [],
+      error: timedOut ? `Timed out after ${timeoutMs}ms` : error.message,
+      durationMs: Date.now() - startedAt
+    };
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", cancel);
+    }
+  }
+};
+
+// Check every URL concurrently; results keep the input order and `onProgress({ completed, total, url })`
+// follows each check. After `signal` is aborted the URLs that were not checked come back as null.
+export const checkUrls = async (urls, { concurrency = 10, timeoutMs, signal, onProgress } = {}) => {
+  let completed = 0;
+
+  const results = await mapWithConcurrency(urls, concurrency, async (url) => {
+    try {
+      const result = await checkUrl(url, { timeoutMs, signal });
+      completed++;
+      if (onProgress) {
+        onProgress({ completed, total: urls.length, url });
+      }
+      return result;
+    } catch (error) {
+      if (isCancelled(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }, { signal });
+
+  return Array.from(results, result => result || null);
+};
+
+// A URL is live when it ends in a 2xx response, directly or after redirects
+export const isLive = (result) => result.category === "ok" || (result.category === "redirect" && result.status < 300);
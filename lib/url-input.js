@@ -0,0 +1,350 @@
+import path from "path";
+import fetch from "node-fetch";
+import { withRetry, isCancelled } from "./retry.js";
+import { readSandboxedFile } from "./sandbox.js";
+
+export const INPUT_FORMATS = ["auto", "text", "sitemap", "csv", "json", "jsonl", "markdown", "html"];
+
+// Nested sitemap indexes are followed at most this deep
+const MAX_SITEMAP_DEPTH = 3;
+
+const EXTENSION_FORMATS = {
+  ".xml": "sitemap",
+  ".csv": "csv",
+  ".json": "json",
+  ".jsonl": "jsonl",
+  ".ndjson": "jsonl",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".html": "html",
+  ".htm": "html"
+};
+
+// Guess the input format from the file extension, falling back to sniffing the content
+export const detectInputFormat = (fileName, content) => {
+  const byExtension = fileName && EXTENSION_FORMATS[path.extname(fileName).toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const head = content.trimStart().slice(0, 512).toLowerCase();
+  if (head.startsWith("<?xml") || head.includes("<urlset") || head.includes("<sitemapindex")) {
+    return "sitemap";
+  }
+  if (head.startsWith("<!doctype html") || head.startsWith("<html")) {
+    return "html";
+  }
+  if (head.startsWith("[")) {
+    return "json";
+  }
+  if (head.startsWith("{")) {
+    const lines = content.split("\n").map(line => line.trim()).filter(Boolean);
+    return lines.length > 1 && lines.every(line => line.startsWith("{")) ? "jsonl" : "json";
+  }
+  return "text";
+};
+
+const decodeEntities = (value) => {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+};
+
+// Plain text: one URL per line, `#` and `//` comment lines ignored
+const parseText = (content) => {
+  return content
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#") && !line.startsWith("//"))
+    // Anything with whitespace is prose rather than a (relative) URL
+    .filter(line => !/\s/.test(line));
+};
+
+// <loc> entries of a sitemap or sitemap index
+const parseSitemapLocations = (content) => {
+  const locations = [];
+  const pattern = /<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gis;
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    locations.push(decodeEntities(match[1]));
+  }
+  return locations;
+};
+
+const fetchText = async (url, signal) => {
+  return withRetry(async (signal) => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      const error = new Error(`Could not fetch sitemap ${url} (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.text();
+  }, { label: `Sitemap ${url} request`, signal });
+};
+
+// Sitemap files list pages directly; sitemap index files list further sitemaps to fetch.
+// Aborting `signal` cancels the fetches of nested sitemaps.
+const parseSitemap = async (content, depth = 0, signal) => {
+  const locations = parseSitemapLocations(content);
+  if (!/<sitemapindex[\s>]/i.test(content)) {
+    return locations;
+  }
+
+  if (depth >= MAX_SITEMAP_DEPTH) {
+    throw new Error(`Sitemap index nesting deeper than ${MAX_SITEMAP_DEPTH} levels`);
+  }
+
+  const urls = [];
+  for (const sitemapUrl of locations) {
+    urls.push(...await parseSitemap(await fetchText(sitemapUrl, signal), depth + 1, signal));
+  }
+  return urls;
+};
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and embedded newlines
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === "\"" && content[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// CSV with a header row; the URL column is picked by name (case-insensitive)
+const parseCsv = (content, urlField) => {
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) {
+    return [];
+  }
+
+  const column = header.findIndex(name => name.trim().toLowerCase() === urlField.toLowerCase());
+  if (column === -1) {
+    throw new Error(`CSV column "${urlField}" not found (columns: ${header.map(name => name.trim()).join(", ")})`);
+  }
+
+  return rows.map(cells => (cells[column] || "").trim());
+};
+
+// Dotted property lookup, e.g. "page.url"
+const getField = (item, urlField) => {
+  if (typeof item === "string") {
+    return item;
+  }
+  return urlField.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), item);
+};
+
+// JSON: an array of strings or objects, or an object wrapping such an array
+const parseJson = (content, urlField) => {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : Object.values(data).find(Array.isArray);
+  if (!items) {
+    throw new Error("JSON input must be an array or contain an array of URLs");
+  }
+  return items.map(item => getField(item, urlField));
+};
+
+const parseJsonl = (content, urlField) => {
+  return content
+    .split("\n")
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      try {
+        return getField(JSON.parse(line), urlField);
+      } catch {
+        throw new Error(`Invalid JSON on line ${index + 1} of JSONL input`);
+      }
+    });
+};
+
+// Punctuation that ends the sentence around a bare URL, Markdown emphasis or code markers
+// closing around it, and a closing parenthesis the URL did not open (as in
+// "(see https://example.com/a)"), are not part of the URL
+const trimBareUrl = (url) => {
+  let trimmed = url;
+  while (true) {
+    if (/[.,;:!?*_`]$/.test(trimmed)) {
+      trimmed = trimmed.slice(0, -1);
+    } else if (trimmed.endsWith(")") && trimmed.split("(").length < trimmed.split(")").length) {
+      trimmed = trimmed.slice(0, -1);
+    } else {
+      return trimmed;
+    }
+  }
+};
+
+// Markdown: inline link targets, autolinks, reference definitions and bare URLs
+const parseMarkdown = (content) => {
+  const urls = [];
+  const bareUrlPattern = /(?<![(<"=A-Za-z0-9])https?:\/\/[^\s<>\]"'`]+/g;
+  const patterns = [
+    /(?<!!)\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g,
+    /<(https?:\/\/[^>\s]+)>/g,
+    /^\s*\[[^\]]+\]:\s*<?(\S+?)>?(?:\s+.*)?$/gm,
+    bareUrlPattern
+  ];
+
+  // Collect with positions so the result follows document order
+  const found = [];
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      found.push({ index: match.index, url: pattern === bareUrlPattern ? trimBareUrl(match[0]) : match[1] || match[0] });
+    }
+  }
+  found.sort((a, b) => a.index - b.index).forEach(({ url }) => urls.push(url));
+  return urls;
+};
+
+// HTML: href targets of anchor tags
+const parseHtml = (content) => {
+  const urls = [];
+  const pattern = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    urls.push(decodeEntities((match[1] || match[2] || match[3] || "").trim()));
+  }
+  return urls;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// Keep absolute http(s) URLs as written, resolve relative ones against `baseUrl`
+// and drop everything else (fragment-only links, mailto:, prose, ...)
+const normalizeUrl = (value, baseUrl) => {
+  if (!value || typeof value !== "string" || value.startsWith("#")) {
+    return null;
+  }
+
+  if (isHttpUrl(value)) {
+    return value;
+  }
+
+  if (!baseUrl || /^[a-z][a-z0-9+.-]*:/i.test(value)) {
+    return null;
+  }
+
+  try {
+    const resolved = new URL(value, baseUrl).href;
+    return isHttpUrl(resolved) ? resolved : null;
+  } catch {
+    return null;
+  }
+};
+
+const parseContent = async (content, format, urlField, signal) => {
+  switch (format) {
+    case "sitemap":
+      return parseSitemap(content, 0, signal);
+    case "csv":
+      return parseCsv(content, urlField);
+    case "json":
+      return parseJson(content, urlField);
+    case "jsonl":
+      return parseJsonl(content, urlField);
+    case "markdown":
+      return parseMarkdown(content);
+    case "html":
+      return parseHtml(content);
+    default:
+      return parseText(content);
+  }
+};
+
+// Collect the URLs for a batch from an input file and/or an inline list.
+// Relative entries are resolved against `baseUrl`; invalid and duplicate URLs are dropped.
+// Aborting `signal` cancels the fetches of nested sitemaps.
+export const loadUrls = async ({ inputFile, urls: inlineUrls, inputFormat = "auto", urlField = "url", baseUrl, signal } = {}) => {
+  if (!inputFile && (!inlineUrls || inlineUrls.length === 0)) {
+    throw new Error("Provide an inputFile or a non-empty urls array");
+  }
+
+  const candidates = [];
+  let format = null;
+
+  if (inputFile) {
+    let fileContent;
+    try {
+      fileContent = readSandboxedFile(inputFile);
+    } catch (fileError) {
+      throw new Error(`Could not read input file: ${fileError.message}`);
+    }
+
+    format = inputFormat === "auto" ? detectInputFormat(inputFile, fileContent) : inputFormat;
+    try {
+      candidates.push(...await parseContent(fileContent, format, urlField, signal));
+    } catch (parseError) {
+      if (isCancelled(parseError)) {
+        throw parseError;
+      }
+      throw new Error(`Could not parse input file as ${format}: ${parseError.message}`);
+    }
+  }
+
+  if (inlineUrls) {
+    candidates.push(...inlineUrls.map(value => value.trim()));
+  }
+
+  const seen = new Set();
+  const urls = [];
+  let skipped = 0;
+
+  for (const candidate of candidates) {
+    const normalized = normalizeUrl(candidate, baseUrl);
+    if (!normalized || seen.has(normalized)) {
+      skipped++;
+      continue;
+    }
+    seen.add(normalized);
+    urls.push(normalized);
+  }
+
+  return { urls, format, skipped };
+};
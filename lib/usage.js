@@ -0,0 +1,158 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Tools that never call the Jina API stay available once a session has spent its budget,
+// so the agent can still look at its usage and collect what it already has
+const BUDGET_EXEMPT_TOOLS = new Set([
+  "jina_usage",
+  "jina_cache",
+  "jina_read_file",
+  "jina_check_urls",
+  "jina_job_status",
+  "jina_job_result",
+  "jina_job_list",
+  "jina_job_cancel"
+]);
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Tokens a session may spend before its tools refuse to run; no limit when JINA_SESSION_TOKEN_BUDGET is unset
+export const getSessionTokenBudget = () => readPositiveInt(process.env.JINA_SESSION_TOKEN_BUDGET, null);
+
+// Error raised instead of making a Jina request once the session has spent its token budget
+export class TokenBudgetError extends Error {
+  constructor(used, budget) {
+    super(`Session token budget exhausted: this session has used ${used} of its ${budget} Jina tokens. Check the breakdown with jina_usage; a new session starts with a fresh budget.`);
+    this.name = "TokenBudgetError";
+    this.used = used;
+    this.budget = budget;
+  }
+}
+
+export const isBudgetExceeded = (error) => error instanceof TokenBudgetError;
+
+const createLedger = () => {
+  return { sessionId: null, startedAt: new Date().toISOString(), calls: 0, requests: 0, tokens: 0, tools: new Map() };
+};
+
+// server -> usage of its session
+const ledgers = new WeakMap();
+// Usage of every session since the server started
+const totals = { ...createLedger(), sessions: 0 };
+// The ledger and tool that Jina requests made in the current async context are counted against
+const context = new AsyncLocalStorage();
+
+const count = (ledger, tool, { calls = 0, requests = 0, tokens = 0 }) => {
+  if (!ledger.tools.has(tool)) {
+    ledger.tools.set(tool, { calls: 0, requests: 0, tokens: 0 });
+  }
+  for (const entry of [ledger, ledger.tools.get(tool)]) {
+    entry.calls += calls;
+    entry.requests += requests;
+    entry.tokens += tokens;
+  }
+};
+
+// Tokens a Jina response reports: `meta.usage` or `usage` of the envelope, the usage of a single
+// result, or the sum over a list of results
+export const getReportedTokens = (data) => {
+  if (!data || typeof data !== "object") {
+    return 0;
+  }
+
+  const single = data.data && !Array.isArray(data.data) ? data.data.usage : null;
+  const usage = (data.meta && data.meta.usage) || data.usage || single;
+  if (usage) {
+    return Number(usage.total_tokens || usage.tokens) || 0;
+  }
+  if (Array.isArray(data.data)) {
+    return data.data.reduce((sum, item) => sum + (item && item.usage ? Number(item.usage.tokens) || 0 : 0), 0);
+  }
+  return 0;
+};
+
+const getBudgetError = (ledger) => {
+  const budget = getSessionTokenBudget();
+  return budget && ledger.tokens >= budget ? new TokenBudgetError(ledger.tokens, budget) : null;
+};
+
+// Throw a TokenBudgetError when the session of the current tool call has spent its budget; run
+// before every Jina request, so batches and background jobs stop at the budget too
+export const checkTokenBudget = () => {
+  const store = context.getStore();
+  const error = store ? getBudgetError(store.ledger) : null;
+  if (error) {
+    throw error;
+  }
+};
+
+// Count a Jina request and the tokens it reported against the current tool and session
+export const recordJinaUsage = (tokens) => {
+  const store = context.getStore();
+  const tool = store ? store.tool : "(no tool)";
+  count(totals, tool, { requests: 1, tokens });
+  if (store) {
+    count(store.ledger, tool, { requests: 1, tokens });
+  }
+};
+
+// Count the Jina usage of `run` against `tool` in the session of `server`, e.g. for a background job
+export const runWithUsage = (server, tool, run) => {
+  const ledger = ledgers.get(server);
+  return ledger ? context.run({ ledger, tool }, run) : run();
+};
+
+// Count the usage of every tool registered on `server` from now on against its session, and refuse
+// calls once the session is over its token budget
+export const trackUsage = (server) => {
+  const ledger = createLedger();
+  ledgers.set(server, ledger);
+  const registerTool = server.tool.bind(server);
+
+  server.tool = (name, description, shape, handler) => {
+    return registerTool(name, description, shape, async (args, extra) => {
+      if (!ledger.sessionId) {
+        ledger.sessionId = extra && extra.sessionId ? extra.sessionId : "stdio";
+      }
+
+      const budgetError = BUDGET_EXEMPT_TOOLS.has(name) ? null : getBudgetError(ledger);
+      if (budgetError) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error: ${budgetError.message}`
+          }],
+          isError: true
+        };
+      }
+
+      if (ledger.calls === 0) {
+        totals.sessions++;
+      }
+      count(ledger, name, { calls: 1 });
+      count(totals, name, { calls: 1 });
+      return context.run({ ledger, tool: name }, () => handler(args, extra));
+    });
+  };
+};
+
+const toReport = ({ tools, ...ledger }) => {
+  return {
+    ...ledger,
+    tools: Object.fromEntries([...tools].sort((a, b) => b[1].tokens - a[1].tokens))
+  };
+};
+
+// Usage of the session served by `server`: { sessionId, startedAt, calls, requests, tokens, tools: { name: { calls, requests, tokens } } }
+export const getSessionUsage = (server) => {
+  const ledger = ledgers.get(server);
+  return ledger ? toReport(ledger) : null;
+};
+
+// Usage of every session since the server started, in the same shape plus the number of sessions
+export const getUsageTotals = () => {
+  const { sessionId, ...report } = toReport(totals);
+  return report;
+};
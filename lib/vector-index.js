@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { readSandboxedFile, resolveSandboxPath } from "./sandbox.js";
+import { writeFileAtomic } from "./checkpoint.js";
+
+const INDEX_VERSION = 1;
+
+// Vectors are kept as base64 Float32 arrays, a quarter of the size of JSON numbers
+const encodeVector = (vector) => Buffer.from(new Float32Array(vector).buffer).toString("base64");
+
+const decodeVector = (value) => {
+  // Copy out of Buffer's shared pool, whose offsets need not be 4-byte aligned
+  const bytes = new Uint8Array(Buffer.from(value, "base64"));
+  return new Float32Array(bytes.buffer);
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Read the index at `indexFile`, or return null when there is none yet
+export const readVectorIndex = (indexFile) => {
+  if (!fs.existsSync(resolveSandboxPath(indexFile))) {
+    return null;
+  }
+
+  let index;
+  try {
+    index = JSON.parse(readSandboxedFile(indexFile));
+  } catch (error) {
+    throw new Error(`${indexFile} is not a readable index: ${error.message}`);
+  }
+  if (index.version !== INDEX_VERSION) {
+    throw new Error(`${indexFile} is not an index this server can read (version ${index.version})`);
+  }
+  return index;
+};
+
+export const writeVectorIndex = (indexFile, index) => {
+  const file = resolveSandboxPath(indexFile, { write: true });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  index.updatedAt = new Date().toISOString();
+  writeFileAtomic(file, JSON.stringify(index));
+  return file;
+};
+
+export const createVectorIndex = (model) => {
+  return {
+    version: INDEX_VERSION,
+    model,
+    dimensions: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    sources: [],
+    chunks: []
+  };
+};
+
+// Replace everything indexed for the given pages with their new chunks.
+// `entries` are [{ url, title, section, text, vector }].
+export const addToVectorIndex = (index, source, entries) => {
+  const urls = new Set(entries.map(entry => entry.url));
+  index.chunks = index.chunks.filter(chunk => !urls.has(chunk.url));
+  index.chunks.push(...entries.map(({ vector, ...entry }) => ({ ...entry, vector: encodeVector(vector) })));
+
+  if (entries.length > 0) {
+    index.dimensions = entries[0].vector.length;
+  }
+  index.sources = [...index.sources.filter(entry => entry.source !== source), { source, indexedAt: new Date().toISOString() }];
+};
+
+export const countIndexedPages = (index) => new Set(index.chunks.map(chunk => chunk.url)).size;
+
+// The `topK` chunks closest to `queryVector`, best first, as [{ url, title, section, text, score }]
+export const searchVectorIndex = (index, queryVector, topK) => {
+  return index.chunks
+    .map(({ vector, ...chunk }) => ({ ...chunk, score: cosineSimilarity(queryVector, decodeVector(vector)) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+};